@@ -34,23 +34,10 @@
 
     'use strict';
 
-    var regStyle = /([\w-]+): ([^;]+);/g,    // regex to parse style definitions
-
-        /**
-         * CSS3 transform properties for different browsers
-         */
-        css3_transforms = {
-            transform       : 'transform',
-            WebkitTransform : '-webkit-transform',
-            OTransform      : '-o-transform',
-            MozTransform    : '-moz-transform',
-            msTransform     : '-ms-transform'
-        },
-
-        /**
-         * CSS3 transform property for this browser
-         */
-        transform = css3_transforms[L.DomUtil.TRANSFORM],
+    /**
+     * Name of CSS3 transform property of element's style for this browser
+     */
+    var transform = L.DomUtil.TRANSFORM,
 
         /* Cache for motion data that not depends on x & y of the marker:
          *    - moveSteps
@@ -58,7 +45,145 @@
          *    - resizeSteps
          *    - resizeDelays
          */
-        _bouncingMotionsCache = {};
+        _bouncingMotionsCache = {},
+
+        /* Preset easing curves of bouncing & contracting. Each curve takes the
+         * progress of the animation in time (from 0 to 1) and returns the
+         * shift of the marker from it's original position, relative to the
+         * height of bouncing or contracting (from 0 to 1). Default curve
+         * "inverse" is not listed here, it's calculated by calculateDelays.
+         */
+        _easings = {
+
+            /* Real gravity: marker goes up & falls down along the parabola */
+            gravity: function(t) {
+                return 4 * t * (1 - t);
+            },
+
+            /* Smooth start & smooth landing */
+            easeInOut: function(t) {
+                return (1 - Math.cos(2 * Math.PI * t)) / 2;
+            },
+
+            /* Marker jumps, overshoots the height of bouncing, oscillates and
+             * then falls down */
+            spring: function(t) {
+                var u;
+
+                if (t < 0.6) {
+                    u = t / 0.6;
+                    return 0.88
+                        * (1 - Math.exp(-5 * u) * Math.cos(2.5 * Math.PI * u));
+                }
+
+                u = (t - 0.6) / 0.4;
+                return 0.88 * (1 - u * u);
+            },
+
+            /* Marker falls down and makes two more little hops, each one four
+             * times lower and two times shorter than previous */
+            decay: function(t) {
+                var u = t * 1.75;
+
+                if (u < 1) {
+                    return 4 * u * (1 - u);
+                }
+
+                if (u < 1.5) {
+                    u = (u - 1) / 0.5;
+                    return u * (1 - u);
+                }
+
+                u = (u - 1.5) / 0.25;
+                return u * (1 - u) / 4;
+            }
+        },
+
+        /* Animations other than bouncing (option "animation"), see
+         * L.Marker.registerBouncingAnimation. Each one has the default
+         * duration of it's cycle (ms) and the function that returns the
+         * matrices of the icon and of the shadow at a moment of the cycle.
+         */
+        _animations = {
+
+            /* Horizontal shake that fades out */
+            shake: {
+                duration: 500,
+                frame: function(t, options) {
+                    var dX = options.bounceHeight * (1 - t)
+                        * Math.sin(6 * Math.PI * t);
+
+                    return {
+                        icon   : [1, 0, 0, 1, dX, 0],
+                        shadow : [1, 0, 0, 1, dX, 0]
+                    };
+                }
+            },
+
+            /* Icon grows and shrinks back */
+            pulse: {
+                duration: 600,
+                frame: function(t, options) {
+                    var k = 1 + options.bounceHeight / 50
+                        * Math.sin(Math.PI * t);
+
+                    return {
+                        icon: [k, 0, 0, k, 0, 0]
+                    };
+                }
+            },
+
+            /* Hop with a turn of the icon around it's vertical axis */
+            jumpSpin: {
+                duration: 800,
+                frame: function(t, options) {
+                    return {
+                        icon: [
+                            Math.cos(2 * Math.PI * t), 0, 0, 1,
+                            0, - 4 * options.bounceHeight * t * (1 - t)
+                        ]
+                    };
+                }
+            },
+
+            /* Two beats followed by a rest */
+            heartbeat: {
+                duration: 1000,
+                frame: function(t, options) {
+                    var k = 1 + options.bounceHeight / 75 * (
+                            calculateBeat(t, 0.1, 0.08)
+                            + 0.6 * calculateBeat(t, 0.3, 0.08)
+                        );
+
+                    return {
+                        icon: [k, 0, 0, k, 0, 0]
+                    };
+                }
+            }
+        },
+
+        /* Markers animated by the shared animation loop. Besides the bouncing
+         * markers, contains the markers that were stopped and are still
+         * landing.
+         */
+        _animatedMarkers = [],
+
+        _bouncingGroups = {},    // bouncing groups by name
+
+        _nextEntranceTime = 0,    // when the next entrance can start (ms)
+
+        /* Global cycle clock of synchronized markers is late by the time
+         * all the markers were paused together */
+        _clockShift = 0,
+        _clockPausedBy = {},    // causes of the pause of the clock
+        _clockPausedAt = null,
+
+        _pauseWhenHidden = false,    // pause the markers while page is hidden
+
+        /* Cache of the frames of the animations, by name of the animation */
+        _animationFramesCache = {},
+
+        _animationFrame = null;    // id of requested animation frame
 
     /* -------------------------------------------------------------------------
      *         In-closure helper functions
@@ -66,42 +191,24 @@
      */
 
     /**
-     * Parses cssText attribute into object. Style definitions becomes the keys
-     * of the object.
-     *
-     * @param cssText   cssText string
-     *
-     * @return object with style definitions as keys
-     */
-    function parseCssText(cssText) {
-        var styleDefinitions = {},
-            match = regStyle.exec(cssText);
-
-        while (match) {
-            styleDefinitions[match[1]] = match[2];
-            match = regStyle.exec(cssText);
-        }
-
-        return styleDefinitions;
-    }
-
-    /**
-     * Renders object with style definitions as string. Created string is ready
-     * to put in cssText attribute.
+     * Returns the index of the item in the array or -1 if array doesn't
+     * contain it. Works in old browsers without Array.prototype.indexOf.
      *
-     * @param styleDefinitions    object with style definitions
+     * @param array    array
+     * @param item     searched item
      *
-     * @return cssText string
+     * @return index of the item or -1
      */
-    function renderCssText(styleDefinitions) {
-        var cssText = '',
-            key;
+    function indexOf(array, item) {
+        var i = array.length;
 
-        for (key in styleDefinitions) {
-            cssText += key + ': ' + styleDefinitions[key] + '; '
+        while (i--) {
+            if (array[i] === item) {
+                break;
+            }
         }
 
-        return cssText;
+        return i;
     }
 
     /**
@@ -200,6 +307,74 @@
         }
     }
 
+    /**
+     * Returns calculated array of positions & heights for icon resizing. Used
+     * to animate markers in browsers that doesn't support 'transform'
+     * attribute: icon's height is reduced and the icon is shifted to keep
+     * it's anchor in place.
+     *
+     * @param x                 x coordinate of original position of marker
+     * @param y                 y coordinate of original position of marker
+     * @param anchor            anchor point of the icon (px)
+     * @param height            original marker height (px)
+     * @param contractHeight    height of marker contraction (px)
+     *
+     * @return array of [x, y, height]
+     */
+    function calculateIconResizePoints(x, y, anchor, height, contractHeight) {
+        var p = [],                     // array of points & heights
+            dH = contractHeight + 1;    // delta of height
+
+        /* Use fast inverse while loop to fill the array */
+        while (dH--) {
+            p[dH] = [x, Math.round(y + anchor.y * dH / height), height - dH];
+        }
+
+        return p;
+    }
+
+    /**
+     * Returns calculated array of positions & sizes for shadow resizing. Used
+     * to animate markers in browsers that doesn't support 'transform'
+     * attribute. Shadow can't be deformed along it's inclination angle, so
+     * it's width & height are reduced in proportion to the projections of the
+     * angle. The anchor of the shadow doesn't move.
+     *
+     * @param x                 x coordinate of original position of marker
+     * @param y                 y coordinate of original position of marker
+     * @param anchor            anchor point of the shadow (px)
+     * @param size              original size of the shadow (px)
+     * @param height            original marker height (px)
+     * @param contractHeight    height of marker contraction (px)
+     * @param angle             shadow inclination angle (radians)
+     *
+     * @return array of [x, y, width, height]
+     */
+    function calculateShadowResizePoints(x, y, anchor, size, height,
+            contractHeight, angle) {
+        var p = [],                     // array of points & sizes
+            cos2 = Math.cos(angle) * Math.cos(angle),
+            sin2 = Math.sin(angle) * Math.sin(angle),
+            dH = contractHeight + 1,    // delta of height
+            kX,                         // horizontal contraction coefficient
+            kY;                         // vertical contraction coefficient
+
+        /* Use fast inverse while loop to fill the array */
+        while (dH--) {
+            kX = 1 - dH / height * cos2;
+            kY = 1 - dH / height * sin2;
+
+            p[dH] = [
+                Math.round(x + anchor.x * (1 - kX)),
+                Math.round(y + anchor.y * (1 - kY)),
+                Math.round(size.x * kX),
+                Math.round(size.y * kY)
+            ];
+        }
+
+        return p;
+    }
+
     /**
      * Returns calculated array of transformation definitions for the animation
      * of icon movement. Function defines one transform for every pixel of shift
@@ -266,16 +441,19 @@
     /**
      * Returns calculated array of transformation definitions for the animation
      * of icon resizing. Function defines one transform for every pixel of
-     * resizing of marker from it's original height.
+     * resizing of marker from it's original height. The icon contracts
+     * towards it's anchor, that doesn't move.
      *
      * @param x                 x coordinate of original position of marker
      * @param y                 y coordinate of original position of marker
+     * @param anchor            anchor point of the icon (px)
      * @param height            original marker height (px)
      * @param contractHeight    height of marker contraction (px)
      *
      * @return array of transformation definitions
      */
-    function calculateIconResizeTransforms(x, y, height, contractHeight) {
+    function calculateIconResizeTransforms(x, y, anchor, height,
+            contractHeight) {
         var t = [],                     // array of transformations
             dH = contractHeight + 1;    // delta of height
 
@@ -284,7 +462,8 @@
 
             /* Use matrix3d for hardware acceleration */
             t[dH] = ' matrix3d(1,0,0,0,0,' + ((height - dH) / height)
-                + ',0,0,0,0,1,0,' + x + ',' + (y + dH) + ',0,1) ';
+                + ',0,0,0,0,1,0,' + x + ','
+                + (y + anchor.y * dH / height) + ',0,1) ';
         }
 
         return t;
@@ -293,36 +472,71 @@
     /**
      * Returns calculated array of transformation definitions for the animation
      * of shadow resizing. Function defines one transform for every pixel of
-     * shadow resizing.
+     * resizing of marker from it's original height. Shadow contracts along
+     * it's inclination angle in the same proportion as the marker contracts
+     * vertically. The anchor of the shadow doesn't move.
      *
      * @param x                 x coordinate of original position of marker
      * @param y                 y coordinate of original position of marker
-     * @param width             original marker width (px)
+     * @param anchor            anchor point of the shadow (px)
      * @param height            original marker height (px)
      * @param contractHeight    height of marker contraction (px)
      * @param angle             shadow inclination angle (radians)
      *
      * @return array of transformation definitions
      */
-    // TODO: fix & deploy this function
-    function calculateShadowResizeTransforms(x, y, width, height,
+    function calculateShadowResizeTransforms(x, y, anchor, height,
             contractHeight, angle) {
         var t = [],                     // array of transformation definitions
-            p = calculateLine(width, height, angle + Math.PI, contractHeight),
-            dH = contractHeight + 1;    // delta height
+            cos = Math.cos(angle),
+            sin = Math.sin(angle),
+            dH = contractHeight + 1,    // delta height
+            k,                          // contraction coefficient minus 1
+            a,                          // matrix of contraction along the
+            b,                          // angle: | a  b |
+            d;                          //        | b  d |
 
         /* Use fast inverse while loop to fill the array */
         while (dH--) {
-
-            /* Use matrix3d for hardware acceleration */
-            t[dH] = ' matrix3d(' + (width / p[dH][0]) +  ',0,0,0,0,'
-                + (p[dH][1] / height) + ',0,0,0,0,1,0,' + x + ','
-                + (y + height - p[dH][1]) + ',0,1) ';
+            k = - dH / height;
+            a = 1 + k * cos * cos;
+            b = k * cos * sin;
+            d = 1 + k * sin * sin;
+
+            /* Use matrix3d for hardware acceleration. Translation compensates
+             * the shift of the anchor caused by the contraction. */
+            t[dH] = ' matrix3d(' + a + ',' + b + ',0,0,' + b + ',' + d
+                + ',0,0,0,0,1,0,'
+                + (x + anchor.x - a * anchor.x - b * anchor.y) + ','
+                + (y + anchor.y - b * anchor.x - d * anchor.y) + ',0,1) ';
         }
 
         return t;
     }
 
+    /**
+     * Returns the anchor of the icon or of the shadow, in the same way as
+     * Leaflet places them: declared anchor, or the center of declared size,
+     * or the top left corner if there is no size.
+     *
+     * @param options    options of the icon
+     * @param name       "icon" or "shadow"
+     *
+     * @return anchor point (px)
+     */
+    function calculateAnchor(options, name) {
+        var anchor = L.point(name === 'shadow'
+                ? options.shadowAnchor || options.iconAnchor
+                : options.iconAnchor),
+            size = L.point(options[name + 'Size']);
+
+        if (!anchor && size) {
+            anchor = size.divideBy(2, true);
+        }
+
+        return anchor || L.point(0, 0);
+    }
+
     /**
      * Returns calculated array of anination steps. This function used to
      * calculate both movement and resizing animations. Arrays of steps are then
@@ -372,21 +586,49 @@
      * are cached in _bouncingMotionsCache. Function checks this cache before
      * make any calculations.
      *
-     * @param height    height of movement or resizing (px)
-     * @param speed     speed coefficient
-     * @param prefix    prefix of the key in the cache. Must be any string with
-     *                  trailing "_" caracter.
+     * If the duration is defined, delays are scaled to make the animation last
+     * exactly this duration, whatever is the height.
+     *
+     * @param height      height of movement or resizing (px)
+     * @param speed       speed coefficient
+     * @param prefix      prefix of the key in the cache. Must be any string
+     *                    with trailing "_" caracter.
+     * @param duration    total duration of the animation (ms, optional)
      *
      * @return array of delays before steps of animation
      */
-    function calculateDelays(height, speed, prefix) {
+    function calculateDelays(height, speed, prefix, duration) {
         var key = prefix + height + '_' + speed,
             deltas = [],    // time between steps of animation
             delays = [],    // delays before steps from beginning of animation
             totalDelay = 0,
+            ratio,
             l,
             i;
 
+        if (duration) {
+            key = prefix + height + '_' + duration + 'ms';
+
+            /* Check the cache */
+            if (_bouncingMotionsCache[key]) {
+                return _bouncingMotionsCache[key];
+            }
+
+            /* Speed coefficient doesn't matter here, duration itself is used
+             * as speed to keep the precision of rounded deltas */
+            delays = calculateDelays(height, duration, prefix).slice();
+            ratio = duration / delays[height * 2 - 1];
+
+            for (i = 0, l = delays.length; i < l; i++) {
+                delays[i] = Math.round(delays[i] * ratio);
+            }
+
+            /* Save scaled delays to cache */
+            _bouncingMotionsCache[key] = delays;
+
+            return delays;
+        }
+
         /* Check the cache */
         if (_bouncingMotionsCache[key]) {
             return _bouncingMotionsCache[key];
@@ -421,408 +663,2776 @@
         return delays;
     }
 
-    /* -------------------------------------------------------------------------
-     *         Class "static" methods
-     * -------------------------------------------------------------------------
-     */
-
-    L.Marker._bouncingMarkers = [];     // array of bouncing markers
-
     /**
-     * Registers default options of bouncing animation.
+     * Returns calculated steps & delays of the animation following the easing
+     * curve. This function used to calculate both movement and resizing
+     * animations. Curve is sampled every millisecond and new step is created
+     * each time the shift of the marker changes, so steps may go up & down
+     * many times. If the duration is not defined, total duration of animation
+     * is the same as duration of the animation with default inverse curve.
+     * Results are cached in _bouncingMotionsCache, custom easing functions are
+     * identified by their Leaflet stamp.
      *
-     * @param options    object with options
-     */
-    L.Marker.setBouncingOptions = function(options) {
-        L.extend(L.Marker.prototype._bouncingOptions, options);
-    };
-
-    /**
-     * Returns array of currently bouncing markers.
+     * @param height      height of movement or resizing (px)
+     * @param speed       speed coefficient
+     * @param easing      name of preset easing curve or easing function
+     * @param prefix      prefix of the key in the cache. Must be any string
+     *                    with trailing "_" caracter.
+     * @param duration    total duration of the animation (ms, optional)
      *
-     * @return array of bouncing markers
+     * @return object with arrays "steps" & "delays"
      */
-    L.Marker.getBouncingMarkers = function() {
-        return L.Marker._bouncingMarkers;
-    };
+    function calculateEasedMotion(height, speed, easing, prefix, duration) {
+        var curve = typeof easing === 'function'
+                ? easing
+                : _easings.hasOwnProperty(easing) && _easings[easing],
+            key,
+            steps = [0],
+            delays = [0],
+            step,
+            t;
+
+        if (!curve) {
+            throw new Error('Unknown bouncing easing: ' + easing);
+        }
 
-    /**
-     * Stops the bouncing of all currently bouncing markers. Purge the array of
-     * bouncing markers.
-     */
-    L.Marker.stopAllBouncingMarkers = function() {
-        var marker;
-        while (marker = L.Marker._bouncingMarkers.shift()) {
-            marker._bouncingMotion.isBouncing = false;    // stop bouncing
+        key = prefix + height + '_' + (duration ? duration + 'ms' : speed) + '_'
+            + (curve === easing ? 'fn' + L.stamp(easing) : easing);
+
+        /* Check the cache */
+        if (_bouncingMotionsCache[key]) {
+            return _bouncingMotionsCache[key];
         }
-    };
 
-    /**
-     * Adds the marker to the list of bouncing markers. If flag 'exclusive' is
-     * set to true, stops all bouncing markers before.
-     *
-     * @param marker      marker object
-     * @param exclusive   flag of exclusive bouncing. If set to true, stops the
-     *                    bouncing of all other markers.
-     */
-    L.Marker._addBouncingMarker = function(marker, exclusive) {
-        if (exclusive || marker._bouncingOptions.exclusive) {
-            L.Marker.stopAllBouncingMarkers();
-        } else {
-            L.Marker._stopEclusiveMarkerBouncing();
+        if (!duration) {
+            duration = calculateDelays(height, speed, prefix)[height * 2 - 1];
         }
-        L.Marker._bouncingMarkers.push(marker);
-    };
 
-    /**
-     * Removes the marker from the list of bouncing markers.
-     *
-     * @param marker    marker object
-     */
-    L.Marker._removeBouncingMarker = function(marker) {
-        var i = L.Marker._bouncingMarkers.length;
+        for (t = 1; t <= duration; t++) {
+            step = Math.round(
+                Math.min(Math.max(curve(t / duration), 0), 1) * height);
 
-        if (i) {
-            while (i--) {
-                if (L.Marker._bouncingMarkers[i] == marker) {
-                    L.Marker._bouncingMarkers.splice(i, 1);
-                    break;
-                }
+            if (step !== steps[steps.length - 1]) {
+                steps.push(step);
+                delays.push(t);
             }
         }
-    };
+
+        /* Animation always ends on original position at the end of duration */
+        if (steps[steps.length - 1] !== 0
+                || delays[delays.length - 1] !== duration) {
+            steps.push(0);
+            delays.push(duration);
+        }
+
+        /* Save motion to the cache */
+        return _bouncingMotionsCache[key] = {
+            steps  : steps,
+            delays : delays
+        };
+    }
 
     /**
-     * Stops the bouncing of exclusive marker.
+     * Returns calculated steps & delays of the entrance of the marker: marker
+     * falls from "height" px with gravity and makes "bounces" bounces, each
+     * one 4 times lower than the previous one. Steps are the heights of the
+     * marker above the ground (px). Results are cached in
+     * _bouncingMotionsCache.
+     *
+     * @param height     height of the fall (px)
+     * @param bounces    number of bounces after the fall
+     *
+     * @return object with arrays "steps" & "delays"
      */
-    L.Marker._stopEclusiveMarkerBouncing = function() {
-        var i = L.Marker._bouncingMarkers.length;
+    function calculateEntranceMotion(height, bounces) {
+        var key = 'entrance_' + height + '_' + bounces,
+            gravity = 0.0025,    // px/ms², fall of 200px lasts 400ms
+            falls = [Math.sqrt(2 * height / gravity)],
+            duration = falls[0],
+            steps = [height],
+            delays = [0],
+            shift,
+            step,
+            t,
+            k;
 
-        if (i) {
-            while (i--) {
-                if (L.Marker._bouncingMarkers[i]._bouncingOptions.exclusive) {
-                    L.Marker._bouncingMarkers[i]._bouncingMotion.isBouncing =
-                        false;    // stop bouncing
-                    L.Marker._bouncingMarkers.splice(i, 1);
-                }
-            }
+        /* Check the cache */
+        if (_bouncingMotionsCache[key]) {
+            return _bouncingMotionsCache[key];
         }
-    };
 
-    /* -------------------------------------------------------------------------
-     *         L.Marker.prototype methods (shared by all instances)
-     * -------------------------------------------------------------------------
-     */
+        /* Duration of each bounce, up & down */
+        for (k = 1; k <= bounces; k++) {
+            falls.push(2 * Math.sqrt(2 * height * Math.pow(0.25, k) / gravity));
+            duration += falls[k];
+        }
 
-    L.Marker.include({
+        duration = Math.round(duration);
 
-        /* Default bouncing animation properties */
-        _bouncingOptions: {
-            bounceHeight   : 15,    // how high marker can bounce (px)
-            contractHeight : 12,    // how much marker can contract (px)
-            bounceSpeed    : 52,    // bouncing speed coefficient
-            contractSpeed  : 52,    // contracting speed coefficient
-            shadowAngle    : - Math.PI / 4, // shadow inclination angle
-                                            // (radians); null value annulates
-                                            // shadow movement
-            elastic        : true,  // activate contract animation
-            exclusive      : false, // many markers can bounce in the same time
-        },
+        for (t = 1; t <= duration; t++) {
 
-        /**
-         * Registers options of bouncing animation for this marker. After
-         * registration of options for concreet marker, it will ignore the
-         * changes of default options. Function automatically recalculates
-         * animation steps and delays.
-         *
-         * @param options    options object
-         *
-         * @return this marker
-         */
-        setBouncingOptions: function(options) {
+            /* Find the bounce at the moment t */
+            shift = t;
+            for (k = 0; k < falls.length - 1 && shift >= falls[k]; k++) {
+                shift -= falls[k];
+            }
 
-            /* If _bouncingOptions was not redefined yet for this marker create
-             * own property and clone _bouncingOptions of prototype.
-             */
-            if (!this.hasOwnProperty('_bouncingOptions')) {
-                this._bouncingOptions = L.extend(
-                    {},
-                    L.Marker.prototype._bouncingOptions
-                );
+            if (!k) {
+                step = height - gravity * shift * shift / 2;
+            } else {
+                step = gravity * shift * (falls[k] - shift) / 2;
             }
 
-            /* Copy options passed as param */
-            L.extend(this._bouncingOptions, options);
+            step = Math.max(Math.round(step), 0);
 
-            /* Recalculate steps & delays of movement & resize animations */
-            this._calculateTimeline();
+            if (step !== steps[steps.length - 1]) {
+                steps.push(step);
+                delays.push(t);
+            }
+        }
 
-            /* Recalculate transformations */
-            this._calculateTransforms();
+        /* Entrance always ends on original position at the end of duration */
+        if (steps[steps.length - 1] !== 0
+                || delays[delays.length - 1] !== duration) {
+            steps.push(0);
+            delays.push(duration);
+        }
 
-            return this;    // fluent API
-        },
+        /* Save motion to the cache */
+        return _bouncingMotionsCache[key] = {
+            steps  : steps,
+            delays : delays
+        };
+    }
 
-        /**
-         * Returns true if this marker is bouncing. If this marker is not
-         * bouncing returns false.
-         *
-         * @return true if marker is bouncing, false if not
-         */
-        isBouncing: function() {
-            return this._bouncingMotion.isBouncing;
-        },
+    /**
+     * Checks the bouncing options that can't be fixed by the animation.
+     * Throws an error if an option is invalid.
+     *
+     * @param options    object with options
+     */
+    function checkBouncingOptions(options) {
+        var damping,
+            animation;
 
-        /**
-         * Let's bounce now!
-         *
-         * @param times    number of animation repeations (optional)
-         *
-         * @return this marker
-         */
-        bounce: function() {
-            var marker = this,
-                icon   = this._icon,
-                shadow = this._shadow,
+        if (!options) {
+            return;
+        }
 
-                bouncingOptions = marker._bouncingOptions,
-                motion          = marker._bouncingMotion,
+        damping = options.damping;
+        animation = options.animation;
 
-                bounceHeight   = bouncingOptions.bounceHeight,
-                contractHeight = bouncingOptions.contractHeight,
-                bounceSpeed    = bouncingOptions.bounceSpeed,
-                contractSpeed  = bouncingOptions.contractSpeed,
-                shadowAngle    = bouncingOptions.shadowAngle,
-                elastic        = bouncingOptions.elastic,
-                exclusive      = bouncingOptions.exclusive,
+        /* Heights would never settle, or would grow past the calculated
+         * transformations */
+        if (damping != null && !(damping > 0 && damping < 1)) {
+            throw new Error('Invalid bouncing damping: ' + damping
+                + ' (must be between 0 and 1)');
+        }
 
-                moveSteps    = motion.moveSteps,
-                moveDelays   = motion.moveDelays,
-                resizeSteps  = motion.resizeSteps,
-                resizeDelays = motion.resizeDelays,
+        /* Cycle without duration would never end */
+        checkPositiveOption(options, 'bounceSpeed');
+        checkPositiveOption(options, 'contractSpeed');
+        checkPositiveOption(options, 'bounceDuration', true);
+        checkPositiveOption(options, 'contractDuration', true);
+
+        /* Checked before the options are merged, so an unknown easing can't
+         * break the next changes of options */
+        checkEasing(options.bounceEasing);
+        checkEasing(options.contractEasing);
+
+        /* Unknown animation would break the constructor of every marker if
+         * it's the default one */
+        if (animation !== undefined && animation !== 'bounce'
+                && !_animations.hasOwnProperty(animation)) {
+            throw new Error('Unknown bouncing animation: ' + animation);
+        }
+    }
 
-                nbMoveSteps   = moveSteps.length,
-                nbResizeSteps = resizeSteps.length,
+    /**
+     * Throws an error if the option is defined and is not a number greater
+     * than 0.
+     *
+     * @param options     object with options
+     * @param name        name of the option
+     * @param nullable    true if the option can be null (optional)
+     */
+    function checkPositiveOption(options, name, nullable) {
+        var value = options[name];
 
-                baseIconCssText   = motion.baseIconCssText,
-                baseShadowCssText = motion.baseShadowCssText,
+        if (value === undefined || nullable && value === null) {
+            return;
+        }
 
-                is3d      = L.Browser.any3d,
-                // transform = L.DomUtil.TRANSFORM,
+        if (!(isFinite(value) && value > 0)) {
+            throw new Error('Invalid bouncing ' + name + ': ' + value
+                + ' (must be greater than 0)');
+        }
+    }
 
-                times = null;    // null for infinite bouncing
+    /**
+     * Throws an error if the easing is not a function, "inverse" or the name
+     * of a preset easing curve.
+     *
+     * @param easing    easing option (undefined if it's not changed)
+     */
+    function checkEasing(easing) {
+        if (easing !== undefined && easing !== 'inverse'
+                && typeof easing !== 'function'
+                && !_easings.hasOwnProperty(easing)) {
+            throw new Error('Unknown bouncing easing: ' + easing);
+        }
+    }
 
-            if (arguments.length == 1) {
-                times = arguments[0];
-            }
+    /**
+     * Returns the amplitude of a beat at the moment t: smooth bump from 0 to
+     * 1 and back to 0 around the center of the beat.
+     *
+     * @param t         progress of the animation (from 0 to 1)
+     * @param center    moment of the top of the beat
+     * @param width     half of the duration of the beat
+     *
+     * @return amplitude of the beat (from 0 to 1)
+     */
+    function calculateBeat(t, center, width) {
+        if (Math.abs(t - center) >= width) {
+            return 0;
+        }
+
+        return (1 + Math.cos(Math.PI * (t - center) / width)) / 2;
+    }
+
+    /**
+     * Returns the animation registered with the name.
+     *
+     * @param name    name of the animation
+     *
+     * @return animation object (see L.Marker.registerBouncingAnimation)
+     */
+    function getAnimation(name) {
+        var animation = _animations.hasOwnProperty(name) && _animations[name];
+
+        if (!animation) {
+            throw new Error('Unknown bouncing animation: ' + name);
+        }
+
+        return animation;
+    }
+
+    /**
+     * Returns the duration of the cycle of the animation: "bounceDuration"
+     * option if it's defined, or the default duration of the animation.
+     *
+     * @param name       name of the animation
+     * @param options    bouncing options of the marker
+     *
+     * @return duration of the cycle (ms)
+     */
+    function getAnimationDuration(name, options) {
+        return options.bounceDuration || getAnimation(name).duration;
+    }
+
+    /**
+     * Returns the cache of the frames of the animation.
+     *
+     * @param name    name of the animation
+     *
+     * @return cache object
+     */
+    function getAnimationCache(name) {
+        if (!_animationFramesCache.hasOwnProperty(name)) {
+            _animationFramesCache[name] = {};
+        }
+
+        return _animationFramesCache[name];
+    }
+
+    /**
+     * Returns calculated steps & delays of the animation. Cycle is divided in
+     * frames of about 1/60 s. Results are cached in _animationFramesCache.
+     *
+     * @param name       name of the animation
+     * @param options    bouncing options of the marker
+     *
+     * @return object with arrays "steps" (indexes of the frames) & "delays"
+     *         (moments of the frames from the beginning of the cycle, ms)
+     */
+    function calculateAnimationTimeline(name, options) {
+        var duration = getAnimationDuration(name, options),
+            cache = getAnimationCache(name),
+            key = 'timeline_' + duration,
+            count,
+            timeline,
+            i;
+
+        /* Check the cache */
+        if (cache[key]) {
+            return cache[key];
+        }
+
+        count = Math.max(1, Math.round(duration * 60 / 1000));
+        timeline = {
+            steps  : [],
+            delays : []
+        };
+
+        for (i = 0; i <= count; i++) {
+            timeline.steps.push(i);
+            timeline.delays.push(Math.round(duration * i / count));
+        }
+
+        /* Save timeline to the cache */
+        return cache[key] = timeline;
+    }
+
+    /**
+     * Returns calculated matrices of the frames of the animation, for the
+     * icon & for the shadow. Last frame is always the original state of the
+     * marker. Results are cached in _animationFramesCache, by the duration,
+     * the bounce height and the sizes of the icon & of the shadow.
+     *
+     * @param name          name of the animation
+     * @param options       bouncing options of the marker
+     * @param iconSize      size of the icon (point)
+     * @param shadowSize    size of the shadow (point)
+     *
+     * @return object with arrays "icon" & "shadow" of matrices
+     *         [a, b, c, d, e, f]
+     */
+    function calculateAnimationMatrices(name, options, iconSize, shadowSize) {
+        var animation = getAnimation(name),
+            timeline = calculateAnimationTimeline(name, options),
+            count = timeline.steps.length - 1,
+            cache = getAnimationCache(name),
+            key = 'matrices_' + timeline.delays[count] + '_'
+                + options.bounceHeight + '_' + iconSize.x + 'x' + iconSize.y
+                + '_' + shadowSize.x + 'x' + shadowSize.y,
+            identity = [1, 0, 0, 1, 0, 0],
+            sizes = {
+                icon   : iconSize,
+                shadow : shadowSize
+            },
+            matrices,
+            frame,
+            i;
+
+        /* Check the cache */
+        if (cache[key]) {
+            return cache[key];
+        }
+
+        matrices = {
+            icon   : [],
+            shadow : []
+        };
+
+        for (i = 0; i <= count; i++) {
+            frame = i < count
+                ? animation.frame(i / count, options, sizes) || {}
+                : {};
+
+            matrices.icon.push(frame.icon || identity);
+            matrices.shadow.push(frame.shadow || identity);
+        }
+
+        /* Save matrices to the cache */
+        return cache[key] = matrices;
+    }
+
+    /**
+     * Returns calculated array of transformation definitions for the frames
+     * of an animation. Matrix of each frame is applied around the anchor.
+     *
+     * @param x           x coordinate of original position of the marker
+     * @param y           y coordinate of original position of the marker
+     * @param anchor      anchor point of the icon or of the shadow (px)
+     * @param matrices    matrices [a, b, c, d, e, f] of the frames
+     *
+     * @return array of transformation definitions
+     */
+    function calculateAnimationTransforms(x, y, anchor, matrices) {
+        var t = [],
+            m,
+            i;
+
+        for (i = 0; i < matrices.length; i++) {
+            m = matrices[i];
+
+            /* Use matrix3d for hardware acceleration. Translation keeps the
+             * anchor at it's place, shifted by the translation of the frame */
+            t[i] = ' matrix3d(' + m[0] + ',' + m[1] + ',0,0,' + m[2] + ','
+                + m[3] + ',0,0,0,0,1,0,'
+                + (x + m[4] + anchor.x - m[0] * anchor.x - m[2] * anchor.y)
+                + ','
+                + (y + m[5] + anchor.y - m[1] * anchor.x - m[3] * anchor.y)
+                + ',0,1) ';
+        }
+
+        return t;
+    }
+
+    /**
+     * Returns calculated array of positions for the frames of an animation in
+     * no 3D able web browser. Only the translations of the frames are kept.
+     *
+     * @param x           x coordinate of original position of the marker
+     * @param y           y coordinate of original position of the marker
+     * @param matrices    matrices [a, b, c, d, e, f] of the frames
+     *
+     * @return array of points [x, y]
+     */
+    function calculateAnimationPoints(x, y, matrices) {
+        var p = [],
+            i;
+
+        for (i = 0; i < matrices.length; i++) {
+            p[i] = [x + matrices[i][4], y + matrices[i][5]];
+        }
+
+        return p;
+    }
+
+    /* -------------------------------------------------------------------------
+     *         Animation loop
+     * -------------------------------------------------------------------------
+     */
+
+    /**
+     * Returns current time in milliseconds, with sub-millisecond precision if
+     * browser supports it.
+     *
+     * @return current time (ms)
+     */
+    function now() {
+        return window.performance && window.performance.now
+            ? window.performance.now()
+            : new Date().getTime();
+    }
+
+    /**
+     * Adds the marker to the animation loop. Requests animation frame if the
+     * loop is not running.
+     *
+     * @param marker    marker object
+     */
+    function startAnimation(marker) {
+        var cause;
+
+        if (indexOf(_animatedMarkers, marker) === -1) {
+            _animatedMarkers.push(marker);
+        }
+
+        /* Marker started while all the markers are paused, or while the page
+         * is hidden, waits until they are resumed */
+        for (cause in _clockPausedBy) {
+            marker._pauseBouncingFor(cause);
+        }
+
+        requestAnimation();
+    }
+
+    /**
+     * Requests animation frame if the loop is not running and at least one
+     * animated marker is not paused. Loop is stopped while all the animated
+     * markers are paused, and requested again when one of them is resumed.
+     */
+    function requestAnimation() {
+        var i;
+
+        if (_animationFrame) {
+            return;
+        }
+
+        for (i = 0; i < _animatedMarkers.length; i++) {
+            if (!_animatedMarkers[i]._bouncingMotion.pauses) {
+                _animationFrame = L.Util.requestAnimFrame(animate);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Removes the marker from the animation loop.
+     *
+     * @param marker    marker object
+     */
+    function stopAnimation(marker) {
+        var i = indexOf(_animatedMarkers, marker);
+
+        if (i !== -1) {
+            _animatedMarkers.splice(i, 1);
+        }
+    }
+
+    /**
+     * Makes one frame of animation for all animated markers. Loop stops when
+     * there is no more animated markers, or when they are all paused.
+     */
+    function animate() {
+        var time = now(),
+
+            /* Markers can leave the loop during the frame, when they land or
+             * are stopped by event listeners, so iterate over a copy */
+            markers = _animatedMarkers.slice(),
+            i;
+
+        /* Event listener that throws must not stop the loop for all the
+         * markers: next frame is requested anyway */
+        try {
+            for (i = 0; i < markers.length; i++) {
+                if (markers[i]._bouncingMotion.isAnimating) {
+                    markers[i]._advanceBouncing(time);
+                }
+            }
+        } finally {
+            _animationFrame = null;
+            requestAnimation();
+        }
+    }
+
+    /**
+     * Returns true if the global cycle clock is paused.
+     *
+     * @return true if the clock is paused, false if not
+     */
+    function isClockPaused() {
+        for (var cause in _clockPausedBy) {
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Pauses the global cycle clock, when all the markers are paused together.
+     *
+     * @param cause    cause of the pause ("all" or "hidden")
+     */
+    function pauseClock(cause) {
+        if (!isClockPaused()) {
+            _clockPausedAt = now();
+        }
+
+        _clockPausedBy[cause] = true;
+    }
+
+    /**
+     * Resumes the global cycle clock: after the last resume, the clock is
+     * late by the duration of the pause.
+     *
+     * @param cause    cause of the pause ("all" or "hidden")
+     */
+    function resumeClock(cause) {
+        if (!_clockPausedBy[cause]) {
+            return;
+        }
+
+        delete _clockPausedBy[cause];
+
+        if (!isClockPaused()) {
+            _clockShift += now() - _clockPausedAt;
+        }
+    }
+
+    /**
+     * Pauses or resumes the animation of all markers and the global cycle
+     * clock while the page is hidden.
+     *
+     * @param hidden    true to pause, false to resume
+     */
+    function pauseWhileHidden(hidden) {
+        var markers = _animatedMarkers.slice(),
+            i;
+
+        if (hidden) {
+            pauseClock('hidden');
+        } else {
+            resumeClock('hidden');
+        }
+
+        for (i = 0; i < markers.length; i++) {
+            if (hidden) {
+                markers[i]._pauseBouncingFor('hidden');
+            } else {
+                markers[i]._resumeBouncingFor('hidden');
+            }
+        }
+    }
+
+    /**
+     * Handler of "visibilitychange" event of the document.
+     */
+    function onVisibilityChange() {
+        pauseWhileHidden(document.hidden);
+    }
+
+    /**
+     * Redraws all the paths of the canvas of the map on next frame. Leaflet
+     * redraws the canvas by firing "moveend" event of the map, that would
+     * be handled by all the layers on every frame of the animation, so the
+     * paths are drawn directly. One redraw per frame is made for all the
+     * bouncing circle markers of the map.
+     *
+     * @param map    map object
+     */
+    function requestCanvasRedraw(map) {
+        if (map._bouncingRedrawRequest) {
+            return;
+        }
+
+        map._bouncingRedrawRequest = L.Util.requestAnimFrame(function() {
+            var ctx = map._canvasCtx,
+                viewport = map._pathViewport,
+                size,
+                id;
+
+            map._bouncingRedrawRequest = null;
+
+            /* Canvas is redrawn by Leaflet after the zoom */
+            if (!ctx || !viewport || map._pathZooming) {
+                return;
+            }
+
+            size = viewport.max.subtract(viewport.min);
+            ctx.clearRect(viewport.min.x, viewport.min.y, size.x, size.y);
+
+            for (id in map._layers) {
+                if (map._layers[id] instanceof L.Path
+                        && map._layers[id]._ctx === ctx) {
+                    map._layers[id]._updatePath();
+                }
+            }
+        });
+    }
+
+    /* -------------------------------------------------------------------------
+     *         Class "static" methods
+     * -------------------------------------------------------------------------
+     */
+
+    L.Marker._bouncingMarkers = [];     // array of bouncing markers
+
+    /**
+     * Registers default options of bouncing animation.
+     *
+     * @param options    object with options
+     */
+    L.Marker.setBouncingOptions = function(options) {
+        checkBouncingOptions(options);
+        L.extend(L.Marker.prototype._bouncingOptions, options);
+    };
+
+    /**
+     * Registers an animation that can be chosen by the option "animation"
+     * instead of bouncing. Function "frame" of the animation is called with
+     * the progress of the cycle in time "t" (from 0 to 1), the bouncing
+     * options of the marker and the sizes of it's icon & shadow (object with
+     * points "icon" & "shadow"). It returns an object with the matrices
+     * [a, b, c, d, e, f] of the icon and of the shadow (both optional, the
+     * element doesn't change if it's matrix is missing). Matrices are applied
+     * around the anchors, translation [e, f] shifts the element (px). Frames
+     * are cached, so "frame" must depend only on "t", the sizes and the
+     * options "bounceHeight" & "bounceDuration". Registering the animation
+     * again replaces it for the markers whose options change after.
+     *
+     * @param name         name of the animation
+     * @param animation    object with the default duration of the cycle
+     *                     "duration" (ms) and the function "frame"
+     */
+    L.Marker.registerBouncingAnimation = function(name, animation) {
+        if (name === 'bounce') {
+            throw new Error('Bouncing animation can\'t be replaced');
+        }
+
+        /* Registries of animations are plain objects */
+        if (name in Object.prototype) {
+            throw new Error('Invalid bouncing animation name: ' + name);
+        }
+
+        if (!animation || typeof animation.frame !== 'function'
+                || !(animation.duration > 0)) {
+            throw new Error('Invalid bouncing animation: ' + name);
+        }
+
+        _animations[name] = {
+            duration : animation.duration,
+            frame    : animation.frame
+        };
+        delete _animationFramesCache[name];
+    };
+
+    /**
+     * Returns array of currently bouncing markers of all groups.
+     *
+     * @return array of bouncing markers
+     */
+    L.Marker.getBouncingMarkers = function() {
+        return L.Marker._bouncingMarkers;
+    };
+
+    /**
+     * Stops the bouncing of all currently bouncing markers of all groups.
+     * Purge the array of bouncing markers.
+     *
+     * @param immediate    if true, markers stop immediately instead of
+     *                     finishing their current cycle, including markers
+     *                     that were stopped before and are still landing
+     *                     (optional)
+     */
+    L.Marker.stopAllBouncingMarkers = function(immediate) {
+        var marker,
+            markers,
+            name,
+            i;
+
+        for (name in _bouncingGroups) {
+            _bouncingGroups[name]._clearBouncingQueue('stopAll');
+        }
+
+        while (marker = L.Marker._bouncingMarkers[0]) {
+            marker._haltBouncing('stopAll');    // stop bouncing
+            L.Marker._removeBouncingMarker(marker);
+        }
+
+        if (immediate) {
+            markers = _animatedMarkers.slice();
+            for (i = 0; i < markers.length; i++) {
+                markers[i]._interruptBouncing('stopAll');
+            }
+        }
+    };
+
+    /**
+     * Pauses the animation of all markers, including the markers that were
+     * stopped and are still landing. Markers stay in the air until they are
+     * resumed, and then continue from the same phase, with the same number
+     * of remaining bounces. Synchronized markers stay on the global cycle
+     * clock, that is paused too. Pause of a marker by pauseBouncing is kept.
+     */
+    L.Marker.pauseAllBouncingMarkers = function() {
+        var markers = _animatedMarkers.slice(),
+            i;
+
+        pauseClock('all');
+
+        for (i = 0; i < markers.length; i++) {
+            markers[i]._pauseBouncingFor('all');
+        }
+    };
+
+    /**
+     * Resumes the animation of all markers paused by pauseAllBouncingMarkers.
+     * Markers paused by pauseBouncing stay paused.
+     */
+    L.Marker.resumeAllBouncingMarkers = function() {
+        var markers = _animatedMarkers.slice(),
+            i;
+
+        resumeClock('all');
+
+        for (i = 0; i < markers.length; i++) {
+            markers[i]._resumeBouncingFor('all');
+        }
+    };
+
+    /**
+     * Pauses the animation of all markers while the page is hidden (e.g. in
+     * a background tab), and resumes it when the page is shown again. Pause
+     * of a marker by pauseBouncing is kept.
+     *
+     * @param enabled    false to stop to pause the markers (optional)
+     */
+    L.Marker.pauseBouncingWhenHidden = function(enabled) {
+        enabled = enabled !== false;
+
+        if (enabled === _pauseWhenHidden || !('hidden' in document)) {
+            return;
+        }
+
+        _pauseWhenHidden = enabled;
+
+        if (enabled) {
+            L.DomEvent.on(document, 'visibilitychange', onVisibilityChange);
+        } else {
+            L.DomEvent.off(document, 'visibilitychange', onVisibilityChange);
+        }
+
+        /* Page may be already hidden */
+        pauseWhileHidden(enabled && document.hidden);
+    };
+
+    /**
+     * Returns the bouncing group with given name. Creates the group if it
+     * doesn't exist yet.
+     *
+     * @param name       name of the group
+     * @param options    options of the group to set (optional)
+     *
+     * @return group object
+     */
+    L.Marker.getBouncingGroup = function(name, options) {
+        var group = _bouncingGroups.hasOwnProperty(name)
+                && _bouncingGroups[name];
+
+        if (!group) {
+            group = _bouncingGroups[name] = new L.Marker.BouncingGroup(name);
+        }
+
+        if (options) {
+            group.setOptions(options);
+        }
+
+        return group;
+    };
+
+    /**
+     * Adds the marker to the list of bouncing markers and to the list of it's
+     * group. If flag 'exclusive' is set to true, stops all bouncing markers of
+     * the group before. If the group already has "maxBouncing" bouncing
+     * markers, stops the oldest one or puts the marker in the queue of the
+     * group, depending on the option "overflow" of the group.
+     *
+     * @param marker      marker object
+     * @param exclusive   flag of exclusive bouncing. If set to true, stops the
+     *                    bouncing of all other markers of the group.
+     *
+     * @return true if the marker can bounce, false if it was put in the queue
+     */
+    L.Marker._addBouncingMarker = function(marker, exclusive) {
+        var group = L.Marker.getBouncingGroup(
+                marker._bouncingOptions.bouncingGroup
+            ),
+            oldest;
+
+        /* Avoid duplicates */
+        L.Marker._unregisterBouncingMarker(marker);
+        marker._unqueueBouncing();
+
+        group._stopBouncingMarkers(
+            exclusive
+            || marker._bouncingOptions.exclusive
+            || group.options.exclusive
+        );
+
+        if (group._isFull()) {
+            if (group.options.overflow === 'queue') {
+                group._queueBouncingMarker(marker);
+                return false;
+            }
+
+            while (group._isFull() && group._bouncingMarkers.length) {
+                oldest = group._bouncingMarkers[0];
+                oldest._haltBouncing('overflow');
+                L.Marker._unregisterBouncingMarker(oldest);
+            }
+        }
+
+        group._bouncingMarkers.push(marker);
+        marker._bouncingMotion.group = group;
+        L.Marker._bouncingMarkers.push(marker);
+
+        return true;
+    };
+
+    /**
+     * Removes the marker from the list of bouncing markers and from the list
+     * of it's group. Starts the bouncing of queued markers of the group if a
+     * place became free.
+     *
+     * @param marker    marker object
+     */
+    L.Marker._removeBouncingMarker = function(marker) {
+        var group = marker._bouncingMotion.group;
+
+        L.Marker._unregisterBouncingMarker(marker);
+
+        if (group) {
+            group._bounceQueuedMarkers();
+        }
+    };
+
+    /**
+     * Removes the marker from the list of bouncing markers and from the list
+     * of it's group.
+     *
+     * @param marker    marker object
+     */
+    L.Marker._unregisterBouncingMarker = function(marker) {
+        var group = marker._bouncingMotion.group,
+            i;
+
+        i = indexOf(L.Marker._bouncingMarkers, marker);
+        if (i !== -1) {
+            L.Marker._bouncingMarkers.splice(i, 1);
+        }
+
+        if (group) {
+            i = indexOf(group._bouncingMarkers, marker);
+            if (i !== -1) {
+                group._bouncingMarkers.splice(i, 1);
+            }
+            marker._bouncingMotion.group = null;
+        }
+    };
+
+    /* -------------------------------------------------------------------------
+     *         Bouncing groups
+     * -------------------------------------------------------------------------
+     */
+
+    /**
+     * Group of markers with it's own list of bouncing markers. Exclusive
+     * marker only stops the bouncing of the markers of it's group. Marker
+     * joins the group defined by it's option "bouncingGroup".
+     */
+    L.Marker.BouncingGroup = L.Class.extend({
+
+        options: {
+            exclusive   : false,     // only one marker of the group bounces
+            maxBouncing : null,      // max number of bouncing markers of the
+                                     // group, null for no limit
+            overflow    : 'stopOldest' // what to do when the group is full:
+                                       // 'stopOldest' or 'queue'
+        },
+
+        /**
+         * Constructor.
+         *
+         * @param name       name of the group
+         * @param options    options of the group (optional)
+         */
+        initialize: function(name, options) {
+            this.name = name;
+            this._bouncingMarkers = [];
+            this._bouncingQueue = [];    // markers waiting to bounce
+            L.setOptions(this, options);
+        },
+
+        /**
+         * Sets options of the group.
+         *
+         * @param options    object with options
+         *
+         * @return this group
+         */
+        setOptions: function(options) {
+            L.setOptions(this, options);
+
+            return this;    // fluent API
+        },
+
+        /**
+         * Returns array of currently bouncing markers of this group.
+         *
+         * @return array of bouncing markers
+         */
+        getBouncingMarkers: function() {
+            return this._bouncingMarkers;
+        },
+
+        /**
+         * Stops the bouncing of all currently bouncing markers of this group.
+         *
+         * @param immediate    if true, markers stop immediately instead of
+         *                     finishing their current cycle, including
+         *                     markers of the group that are still landing
+         *                     (optional)
+         *
+         * @return this group
+         */
+        stopAllBouncingMarkers: function(immediate) {
+            var marker,
+                markers,
+                i;
+
+            this._clearBouncingQueue('stopAll');
+
+            while (marker = this._bouncingMarkers[0]) {
+                marker._haltBouncing('stopAll');    // stop bouncing
+                L.Marker._removeBouncingMarker(marker);
+            }
+
+            if (immediate) {
+                markers = _animatedMarkers.slice();
+                for (i = 0; i < markers.length; i++) {
+                    if (markers[i]._bouncingOptions.bouncingGroup
+                            === this.name) {
+                        markers[i]._interruptBouncing('stopAll');
+                    }
+                }
+            }
+
+            return this;    // fluent API
+        },
+
+        /**
+         * Stops the bouncing of exclusive markers of this group, or of all
+         * markers of this group if "all" is true. In this last case, the queue
+         * of the group is cleared too.
+         *
+         * @param all    if true, stops all markers of the group
+         */
+        _stopBouncingMarkers: function(all) {
+            var markers = this._bouncingMarkers.slice(),
+                i;
+
+            if (all) {
+                this._clearBouncingQueue('exclusive');
+            }
+
+            for (i = 0; i < markers.length; i++) {
+                if (all || markers[i]._bouncingOptions.exclusive) {
+                    markers[i]._haltBouncing('exclusive');
+                    L.Marker._unregisterBouncingMarker(markers[i]);
+                }
+            }
+        },
+
+        /**
+         * Returns true if this group has the maximum number of bouncing
+         * markers.
+         *
+         * @return true if the group is full
+         */
+        _isFull: function() {
+            return this.options.maxBouncing != null
+                && this._bouncingMarkers.length >= this.options.maxBouncing;
+        },
+
+        /**
+         * Puts the marker at the end of the queue of this group.
+         *
+         * @param marker    marker object
+         */
+        _queueBouncingMarker: function(marker) {
+            this._bouncingQueue.push(marker);
+            marker._bouncingMotion.queueGroup = this;
+        },
+
+        /**
+         * Removes the marker from the queue of this group. If the reason is
+         * defined, marker fires "bounceend" event with this reason, so the
+         * marker that will never bounce is not waited for.
+         *
+         * @param marker    marker object
+         * @param reason    reason of the removal (optional)
+         */
+        _unqueueBouncingMarker: function(marker, reason) {
+            var i = indexOf(this._bouncingQueue, marker);
+
+            if (i === -1) {
+                return;
+            }
+
+            this._bouncingQueue.splice(i, 1);
+            marker._bouncingMotion.queueGroup = null;
+
+            if (reason) {
+                marker.fire('bounceend', {
+                    reason: reason
+                });
+            }
+        },
+
+        /**
+         * Removes all markers from the queue of this group.
+         *
+         * @param reason    reason of the removal
+         */
+        _clearBouncingQueue: function(reason) {
+            while (this._bouncingQueue.length) {
+                this._unqueueBouncingMarker(this._bouncingQueue[0], reason);
+            }
+        },
+
+        /**
+         * Starts the bouncing of queued markers while this group has free
+         * places.
+         */
+        _bounceQueuedMarkers: function() {
+            var marker,
+                times;
+
+            while (this._bouncingQueue.length && !this._isFull()) {
+                marker = this._bouncingQueue.shift();
+                marker._bouncingMotion.queueGroup = null;
+                times = marker._bouncingMotion.times;
+
+                if (times === null) {
+                    marker.bounce();
+                } else {
+                    marker.bounce(times);
+                }
+            }
+        }
+    });
+
+    /* -------------------------------------------------------------------------
+     *         Bouncing waves
+     * -------------------------------------------------------------------------
+     */
+
+    /**
+     * Cascade of bouncing of a collection of markers: each marker starts to
+     * bounce with a delay, along the list of markers (wave) or by distance
+     * from a point (ripple).
+     */
+    L.Marker.BouncingWave = L.Class.extend({
+
+        options: {
+            times    : null,    // number of bounces of each marker, null for
+                                // infinite bouncing
+            duration : null,    // time between the start of the wave and the
+                                // start of the last marker (ms), null for one
+                                // bouncing cycle of the first marker
+            origin   : null     // point the ripple starts from, null for a
+                                // wave along the list of markers
+        },
+
+        /**
+         * Constructor.
+         *
+         * @param markers    array of markers, or L.LayerGroup of markers. Other
+         *                   layers are ignored.
+         * @param options    options of the wave (optional)
+         */
+        initialize: function(markers, options) {
+            var layers = markers instanceof L.LayerGroup
+                    ? markers.getLayers()
+                    : markers,
+                i;
+
+            L.setOptions(this, options);
+
+            /* Group may also contain other layers (e.g. polygons) */
+            this._markers = [];
+            for (i = 0; i < layers.length; i++) {
+                if (layers[i] && typeof layers[i].bounce === 'function'
+                        && (!this.options.origin || layers[i].getLatLng)) {
+                    this._markers.push(layers[i]);
+                }
+            }
+
+            this._timers = [];
+            this._started = [];
+        },
+
+        /**
+         * Starts the wave. Each marker starts to bounce after it's delay.
+         *
+         * @return this wave
+         */
+        start: function() {
+            var delays = this._calculateWaveDelays(),
+                i;
+
+            this.stop(true);
+
+            for (i = 0; i < this._markers.length; i++) {
+                this._timers.push(setTimeout(
+                    L.bind(this._bounceMarker, this, this._markers[i]),
+                    delays[i]
+                ));
+            }
+
+            return this;    // fluent API
+        },
+
+        /**
+         * Stops the wave: markers that didn't start yet won't bounce, others
+         * stop to bounce.
+         *
+         * @param immediate    if true, markers stop immediately instead of
+         *                     finishing their current cycle (optional)
+         *
+         * @return this wave
+         */
+        stop: function(immediate) {
+            var marker;
+
+            while (this._timers.length) {
+                clearTimeout(this._timers.pop());
+            }
+
+            while (marker = this._started.pop()) {
+                marker.stopBouncing(immediate);
+            }
+
+            return this;    // fluent API
+        },
+
+        /**
+         * Starts the bouncing of one marker of the wave.
+         *
+         * @param marker    marker object
+         */
+        _bounceMarker: function(marker) {
+            this._started.push(marker);
+
+            if (this.options.times === null) {
+                marker.bounce();
+            } else {
+                marker.bounce(this.options.times);
+            }
+        },
+
+        /**
+         * Calculates the delay of the start of each marker.
+         *
+         * @return array of delays (ms)
+         */
+        _calculateWaveDelays: function() {
+            var markers = this._markers,
+                origin = this.options.origin,
+                duration = this.options.duration,
+                distances = [],
+                maxDistance = 0,
+                delays = [],
+                i;
+
+            if (!markers.length) {
+                return delays;
+            }
+
+            if (duration === null) {
+                duration = markers[0].getBouncingCycleDuration();
+            }
+
+            /* Wave along the list of markers: last one starts after duration,
+             * like the farthest marker of the ripple */
+            if (!origin) {
+                for (i = 0; i < markers.length; i++) {
+                    delays.push(markers.length > 1
+                        ? Math.round(duration * i / (markers.length - 1))
+                        : 0
+                    );
+                }
+
+                return delays;
+            }
+
+            /* Ripple: delay is proportional to the distance from origin */
+            origin = L.latLng(origin);
+
+            for (i = 0; i < markers.length; i++) {
+                distances.push(origin.distanceTo(markers[i].getLatLng()));
+                maxDistance = Math.max(maxDistance, distances[i]);
+            }
+
+            for (i = 0; i < markers.length; i++) {
+                delays.push(maxDistance
+                    ? Math.round(duration * distances[i] / maxDistance)
+                    : 0
+                );
+            }
+
+            return delays;
+        }
+    });
+
+    /**
+     * Starts the bouncing of markers in cascade (see L.Marker.BouncingWave).
+     *
+     * @param markers    array of markers, or L.LayerGroup of markers
+     * @param options    options of the wave (optional)
+     *
+     * @return wave object, that can be stopped
+     */
+    L.Marker.bounceWave = function(markers, options) {
+        return new L.Marker.BouncingWave(markers, options).start();
+    };
+
+    /* -------------------------------------------------------------------------
+     *         Bouncing mixin (shared by markers and circle markers)
+     * -------------------------------------------------------------------------
+     */
+
+    /**
+     * Bouncing API and animation of a layer. Layer that includes it must
+     * implement methods _makeBouncingStep (shows the step of the animation),
+     * _restoreBouncingState (puts the layer back in it's original state) and
+     * _calculateTransforms (prepares the steps for the new options).
+     */
+    L.Mixin.Bouncing = {
+
+        /* Default bouncing animation properties */
+        _bouncingOptions: {
+            bounceHeight   : 15,    // how high marker can bounce (px)
+            contractHeight : 12,    // how much marker can contract (px)
+            bounceSpeed    : 52,    // bouncing speed coefficient
+            contractSpeed  : 52,    // contracting speed coefficient
+            bounceDuration   : null, // duration of bouncing (ms); if defined,
+                                     // bounceSpeed is ignored
+            contractDuration : null, // duration of contracting (ms); if
+                                     // defined, contractSpeed is ignored
+            shadowAngle    : - Math.PI / 4, // shadow inclination angle
+                                            // (radians); null value annulates
+                                            // shadow movement
+            bounceEasing   : 'inverse', // easing curve of bouncing: name of
+                                        // preset curve or function
+            contractEasing : 'inverse', // easing curve of contracting
+            elastic        : true,  // activate contract animation
+            exclusive      : false, // many markers can bounce in the same time
+            bouncingGroup  : 'default', // name of the group of the marker
+            resumeOnAdd    : false, // marker removed from the map while
+                                    // bouncing starts to bounce again when
+                                    // it's added back
+            bounceOn       : null,  // events that start the bouncing, or
+                                    // 'hover' to bounce while hovered
+            stopOn         : null,  // events that stop the bouncing
+            toggleOn       : null,  // events that start/stop the bouncing
+            clusterBouncing : 'cluster', // marker hidden in a cluster of
+                                         // Leaflet.markercluster: 'cluster'
+                                         // bounces the cluster, 'reveal'
+                                         // also shows the marker, null
+                                         // disables it
+            animation      : 'bounce', // 'bounce', 'shake', 'pulse',
+                                       // 'jumpSpin' or 'heartbeat'
+            synchronized   : false, // follow the global cycle clock: true
+                                    // (or 'wait') waits for the next cycle,
+                                    // 'jump' jumps to the current phase
+            damping        : null,  // ratio of the height of each cycle to
+                                    // the height of the previous one
+            entrance       : false, // drop the marker when it's added to
+                                    // the map for the first time
+            entranceHeight : 200,   // height of the drop (px)
+            entranceBounces: 2,     // number of bounces after the drop
+            entranceStagger: 0,     // delay between entrances of markers
+                                    // added at the same time (ms)
+        },
+
+        /**
+         * Registers options of bouncing animation for this marker. After
+         * registration of options for concreet marker, it will ignore the
+         * changes of default options. Function automatically recalculates
+         * animation steps and delays.
+         *
+         * @param options    options object
+         *
+         * @return this marker
+         */
+        setBouncingOptions: function(options) {
+
+            checkBouncingOptions(options);
+
+            /* If _bouncingOptions was not redefined yet for this marker create
+             * own property and clone _bouncingOptions of prototype.
+             */
+            if (!this.hasOwnProperty('_bouncingOptions')) {
+                this._bouncingOptions = L.extend(
+                    {},
+                    L.Marker.prototype._bouncingOptions
+                );
+            }
+
+            /* Copy options passed as param */
+            L.extend(this._bouncingOptions, options);
+
+            /* Recalculate steps & delays of movement & resize animations */
+            this._calculateTimeline();
+
+            /* Recalculate transformations */
+            this._calculateTransforms();
+
+            /* Listen to the events defined by new options */
+            if (this._map) {
+                this._unbindBouncingEvents();
+                this._bindBouncingEvents();
+            }
+
+            return this;    // fluent API
+        },
+
+        /**
+         * Returns true if this marker is bouncing. If this marker is not
+         * bouncing returns false.
+         *
+         * @return true if marker is bouncing, false if not
+         */
+        isBouncing: function() {
+            return this._bouncingMotion.isBouncing;
+        },
+
+        /**
+         * Returns the duration of one cycle of bouncing of this marker with
+         * it's current options: movement up & down, followed by contraction if
+         * the animation is elastic, or by the pause between movements if not.
+         *
+         * @return duration of the cycle (ms)
+         */
+        getBouncingCycleDuration: function() {
+            var motion = this._bouncingMotion,
+                duration = motion.moveDelays[motion.moveSteps.length - 1];
+
+            if (motion.elastic) {
+                duration += motion.resizeDelays[motion.resizeSteps.length - 1];
+            } else {
+                duration += motion.pause;
+            }
+
+            return duration;
+        },
+
+        /**
+         * Let's bounce now! Marker fires the event "bouncestart" when it starts
+         * to bounce, "bouncecycle" at the end of every cycle of the animation
+         * (with properties "cycle" - number of completed cycles, and "times" -
+         * number of remaining cycles or null for infinite bouncing) and
+         * "bounceend" when it's really back on the ground. Event "bounceend"
+         * has the property "reason" that tells why the marker stopped:
+         * "finished" (all repetitions are done), "stopped" (method
+         * stopBouncing), "stopAll" (L.Marker.stopAllBouncingMarkers),
+         * "exclusive" (another exclusive marker started to bounce) or
+         * "removed" (marker removed from the map). Marker doesn't bounce if
+         * "times" is not greater than 0.
+         *
+         * @param times    number of animation repeations (optional)
+         *
+         * @return this marker
+         */
+        bounce: function() {
+            var motion = this._bouncingMotion;
+
+            /* Nothing to do: no cycle would ever be the last one */
+            if (arguments.length == 1 && arguments[0] !== null
+                    && !(arguments[0] > 0)) {
+                return this;
+            }
+
+            motion.times = null;    // null for infinite bouncing
+            motion.stopReason = null;
+            motion.dampingCycle = null;    // next cycle is the highest one
+
+            if (arguments.length == 1) {
+                motion.times = arguments[0];
+            }
+
+            if (!L.Marker._addBouncingMarker(
+                    this, this._bouncingOptions.exclusive
+            )) {
+                return this;    // marker waits in the queue of it's group
+            }
+
+            motion.isBouncing = true;
+
+            /* If marker is still landing after the stop, the running animation
+             * simply continues. */
+            if (!motion.isAnimating) {
+                motion.isAnimating = true;
+                motion.cycle = 0;
+                motion.phaseStart = now();
+                this._startBouncingCycle();
+
+                if (this._bouncingOptions.synchronized) {
+                    this._synchronizeBouncing();
+                }
+
+                /* Don't fight with zoom animation of the map */
+                if (this._map && this._map._animatingZoom) {
+                    this._pauseBouncingDuringZoom();
+                }
+
+                this.fire('bouncestart');
+                startAnimation(this);    // start animation
+            }
+
+            return this;    // fluent API
+        },
+
+        /**
+         * Same as bounce, but returns a promise resolved when the marker is
+         * back on the ground. Promise is resolved with the reason of the stop
+         * (see the property "reason" of event "bounceend"), so it's resolved
+         * with "finished" only if all repetitions were done. If "times" is
+         * not greater than 0, marker doesn't bounce and the promise is
+         * resolved with "finished" at once. Requires Promise support of the
+         * browser (or a polyfill).
+         *
+         * @param times    number of animation repeations (optional)
+         *
+         * @return promise resolved with the reason of the stop
+         */
+        bounceAsync: function(times) {
+            var marker = this;
+
+            return new Promise(function(resolve) {
+                if (times != null && !(times > 0)) {
+                    resolve('finished');
+                    return;
+                }
+
+                marker.once('bounceend', function(event) {
+                    resolve(event.reason);
+                });
+
+                if (times === undefined) {
+                    marker.bounce();
+                } else {
+                    marker.bounce(times);
+                }
+            });
+        },
+
+        /**
+         * Stops bouncing of this marker. Note: by default the bouncing not
+         * stops immediatly after the call of this method. Instead, the
+         * animation is executed until marker returns to it's original position
+         * and takes it's full size. Pass true to stop the marker immediately:
+         * all pending steps of the animation are canceled and the icon and the
+         * shadow are put back in their original state.
+         *
+         * @param immediate    if true, stops the animation immediately
+         *                     (optional)
+         *
+         * @return this marker
+         */
+        stopBouncing: function(immediate) {
+            this._haltBouncing('stopped');
+            this._unqueueBouncing('stopped');
+            this._bouncingMotion.resumeOnAdd = false;
+            L.Marker._removeBouncingMarker(this);
+
+            if (immediate) {
+                this._interruptBouncing('stopped');
+            }
+
+            return this;    // fluent API
+        },
+
+        /**
+         * Starts/stops bouncing of this marker.
+         *
+         * @return this marker
+         */
+        toggleBouncing: function() {
+            var motion = this._bouncingMotion;
+
+            if (motion.isBouncing || motion.queueGroup) {
+                this.stopBouncing();
+            } else {
+                this.bounce();
+            }
+
+            return this;    // fluent API
+        },
+
+        /**
+         * Starts to listen to the events defined in options "bounceOn",
+         * "stopOn" and "toggleOn".
+         */
+        _bindBouncingEvents: function() {
+            var options = this._bouncingOptions,
+                listeners = [],
+                i;
+
+            if (options.bounceOn === 'hover') {
+                listeners.push(
+                    ['mouseover', this._onBounceEvent],
+                    ['mouseout', this._onStopEvent]
+                );
+            } else if (options.bounceOn) {
+                listeners.push([options.bounceOn, this._onBounceEvent]);
+            }
+
+            if (options.stopOn) {
+                listeners.push([options.stopOn, this._onStopEvent]);
+            }
+
+            if (options.toggleOn) {
+                listeners.push([options.toggleOn, this._onToggleEvent]);
+            }
+
+            for (i = 0; i < listeners.length; i++) {
+                this.on(listeners[i][0], listeners[i][1], this);
+            }
+
+            this._bouncingMotion.listeners = listeners;
+        },
+
+        /**
+         * Stops to listen to the events bound by _bindBouncingEvents.
+         */
+        _unbindBouncingEvents: function() {
+            var listeners = this._bouncingMotion.listeners || [],
+                i;
+
+            for (i = 0; i < listeners.length; i++) {
+                this.off(listeners[i][0], listeners[i][1], this);
+            }
+
+            this._bouncingMotion.listeners = null;
+        },
+
+        /**
+         * Pauses the animation of this marker: marker stays in the air until
+         * it's resumed. Does nothing if the marker is not animated. Marker
+         * stopped while paused lands after the resume, or immediately with
+         * stopBouncing(true).
+         *
+         * @return this marker
+         */
+        pauseBouncing: function() {
+            this._pauseBouncingFor('user');
+
+            return this;    // fluent API
+        },
+
+        /**
+         * Resumes the animation of this marker paused by pauseBouncing. The
+         * animation continues from the same phase, with the same number of
+         * remaining bounces. Synchronized marker catches up with the global
+         * cycle clock.
+         *
+         * @return this marker
+         */
+        resumeBouncing: function() {
+            this._resumeBouncingFor('user');
+
+            return this;    // fluent API
+        },
+
+        /**
+         * Returns true if the animation of this marker is paused by
+         * pauseBouncing or by L.Marker.pauseAllBouncingMarkers.
+         *
+         * @return true if marker is paused, false if not
+         */
+        isBouncingPaused: function() {
+            var pausedBy = this._bouncingMotion.pausedBy;
+
+            return !!(pausedBy.user || pausedBy.all);
+        },
+
+        /**
+         * Handler of the events defined in option "bounceOn".
+         */
+        _onBounceEvent: function() {
+            this.bounce();
+        },
+
+        /**
+         * Handler of the events defined in option "stopOn".
+         */
+        _onStopEvent: function() {
+            this.stopBouncing();
+        },
+
+        /**
+         * Handler of the events defined in option "toggleOn".
+         */
+        _onToggleEvent: function() {
+            this.toggleBouncing();
+        },
+
+        /**
+         * Takes this marker out of the queue of it's group if it waits there.
+         *
+         * @param reason    reason of the removal, fired with "bounceend"
+         *                  event (optional)
+         */
+        _unqueueBouncing: function(reason) {
+            var group = this._bouncingMotion.queueGroup;
+
+            if (group) {
+                group._unqueueBouncingMarker(this, reason);
+            }
+        },
+
+        /**
+         * Starts to bounce again this marker removed from the map while
+         * bouncing, if it has option "resumeOnAdd".
+         */
+        _resumeBouncingOnAdd: function() {
+            var motion = this._bouncingMotion;
+
+            if (motion.resumeOnAdd) {
+                motion.resumeOnAdd = false;
+
+                if (motion.resumeTimes === null) {
+                    this.bounce();
+                } else {
+                    this.bounce(motion.resumeTimes);
+                }
+            }
+        },
+
+        /**
+         * Stops the bouncing of this marker removed from the map immediately
+         * with reason "removed". If the marker has option "resumeOnAdd",
+         * remembers how many times it still had to bounce.
+         */
+        _stopBouncingOnRemove: function() {
+            var motion = this._bouncingMotion,
+
+                /* Marker in it's last cycle still has this cycle to do */
+                remaining = motion.isBouncing || motion.isAnimating
+                    && motion.stopReason === 'finished';
+
+            if (remaining && this._bouncingOptions.resumeOnAdd) {
+                motion.resumeOnAdd = true;
+
+                /* Interrupted cycle will be done again */
+                motion.resumeTimes = motion.times === null
+                    ? null
+                    : motion.times + 1;
+            }
+
+            motion.clustered = false;
+            this._haltBouncing('removed');
+            this._unqueueBouncing('removed');
+            L.Marker._removeBouncingMarker(this);
+            this._interruptBouncing('removed');
+        },
+
+        /**
+         * Asks this marker to stop bouncing at the end of current cycle and
+         * remembers the reason of the stop.
+         *
+         * @param reason    reason of the stop (see event "bounceend")
+         */
+        _haltBouncing: function(reason) {
+            if (this._bouncingMotion.isBouncing) {
+                this._bouncingMotion.isBouncing = false;
+                this._bouncingMotion.stopReason = reason;
+            }
+        },
+
+        /**
+         * Starts new cycle of the animation with the movement of the marker.
+         */
+        _startBouncingCycle: function() {
+            var motion = this._bouncingMotion;
+
+            if (motion.times !== null) {
+                if (!--motion.times) {
+                    // this is the last bouncing
+                    this._haltBouncing('finished');
+                }
+            }
+
+            /* Damped bouncing: each cycle is lower than the previous one */
+            if (this._isBouncingDamped() && !motion.entering) {
+                motion.dampingCycle = motion.dampingCycle == null
+                    ? 0
+                    : motion.dampingCycle + 1;
+                this._calculateTimeline();
+
+                /* Marker settles when it bounces only 1px high */
+                if (this._getBouncingHeights()[0] <= 1) {
+                    this._haltBouncing('finished');
+                }
+            }
+
+            motion.phase = 'move';
+            motion.stepIndex = 0;
+        },
+
+        /**
+         * Ends the cycle of animation. Fires "bouncecycle" event and, if the
+         * marker was asked to stop, fires "bounceend" event.
+         *
+         * @return true if the bouncing continues, false if it's over
+         */
+        _endBouncingCycle: function() {
+            var motion = this._bouncingMotion;
+
+            /* Entrance is not a cycle of bouncing. If the marker was asked to
+             * bounce meanwhile, the bouncing starts now */
+            if (motion.entering) {
+                if (!motion.isBouncing) {
+                    this._endBouncing();
+                    return false;
+                }
+
+                this._endBouncingEntrance();
+                this._restoreBouncingState();
+                this.fire('bouncestart');
+
+                return true;
+            }
+
+            this.fire('bouncecycle', {
+                cycle: ++motion.cycle,
+                times: motion.times
+            });
+
+            if (motion.isBouncing) {
+                return true;
+            }
+
+            this._endBouncing();
+
+            return false;
+        },
+
+        /**
+         * Ends the animation of this marker: takes it out of animation loop,
+         * puts it back in it's original state and fires "bounceend" event.
+         */
+        _endBouncing: function() {
+            var motion = this._bouncingMotion,
+                cause;
+
+            motion.isAnimating = false;
+            stopAnimation(this);
+
+            /* Next animation of the marker is not paused */
+            for (cause in motion.pausedBy) {
+                this._resumeBouncingFor(cause);
+            }
+
+            this._endBouncingEntrance();
+
+            /* Damped marker is back to the full height, and so is the
+             * duration of it's cycle */
+            if (motion.dampingCycle != null) {
+                motion.dampingCycle = null;
+                this._calculateTimeline();
+            }
+
+            this._restoreBouncingState();
+            L.Marker._removeBouncingMarker(this);
+
+            /* Marker that only made it's entrance didn't bounce */
+            if (motion.stopReason) {
+                this.fire('bounceend', {
+                    reason: motion.stopReason
+                });
+            }
+        },
+
+        /**
+         * Starts the entrance of this marker added to the map for the first
+         * time, if it has option "entrance": marker falls from
+         * "entranceHeight" px and makes "entranceBounces" bounces. Markers
+         * added at the same time start one after another, with the delay
+         * "entranceStagger". Entrance doesn't fire bouncing events.
+         */
+        _startBouncingEntrance: function() {
+            var motion  = this._bouncingMotion,
+                options = this._bouncingOptions,
+                start;
+
+            if (!options.entrance || motion.entered) {
+                return;
+            }
+
+            motion.entered = true;    // only the first time
+
+            if (motion.isAnimating) {
+                return;    // marker is already bouncing
+            }
+
+            start = Math.max(now(), _nextEntranceTime);
+            _nextEntranceTime = start + options.entranceStagger;
+
+            motion.entering = true;
+            this._calculateTimeline();
+            this._calculateTransforms();
+
+            motion.isAnimating = true;
+            motion.stopReason = null;
+            motion.times = null;
+            motion.cycle = 0;
+            motion.phaseStart = start;
+            this._startBouncingCycle();
+
+            /* Marker waits for it's turn above it's position */
+            this._makeBouncingStep(motion.moveSteps[0]);
+
+            /* Don't fight with zoom animation of the map */
+            if (this._map._animatingZoom) {
+                this._pauseBouncingDuringZoom();
+            }
+
+            startAnimation(this);
+        },
+
+        /**
+         * Ends the entrance of this marker: next cycles of the animation are
+         * cycles of bouncing.
+         */
+        _endBouncingEntrance: function() {
+            if (this._bouncingMotion.entering) {
+                this._bouncingMotion.entering = false;
+                this._calculateTimeline();
+                this._calculateTransforms();
+            }
+        },
+
+        /**
+         * Ends the entrance of this marker at current step. If the marker was
+         * asked to bounce meanwhile, the bouncing starts now.
+         */
+        _skipBouncingEntrance: function() {
+            var motion = this._bouncingMotion;
+
+            if (!motion.entering) {
+                return;
+            }
+
+            if (!motion.isBouncing) {
+                this._interruptBouncing();
+                return;
+            }
+
+            this._endBouncingEntrance();
+            motion.phaseStart = now();
+            this._startBouncingCycle();
+        },
+
+        /**
+         * Interrupts the animation of this marker at current step and puts it
+         * back in it's original state. Marker interrupted during it's last
+         * cycle didn't finish it's bouncing: the reason of the stop is
+         * replaced.
+         *
+         * @param reason    reason of the interruption (see event "bounceend",
+         *                  optional)
+         */
+        _interruptBouncing: function(reason) {
+            var motion = this._bouncingMotion;
+
+            if (motion.isAnimating) {
+                if (reason && motion.stopReason === 'finished') {
+                    motion.stopReason = reason;
+                }
+
+                this._endBouncing();
+            }
+        },
+
+        /**
+         * Advances the animation of this marker to the moment "time". Called by
+         * the animation loop on every frame. The step to show is found from the
+         * time elapsed since the beginning of current phase of the animation
+         * (movement, contraction or pause between movements), so skipped frames
+         * don't shift the animation.
+         *
+         * @param time    current time (ms)
+         */
+        _advanceBouncing: function(time) {
+            var motion  = this._bouncingMotion,
+                elastic = motion.elastic,
+                pause   = motion.pause,
+                steps,
+                delays,
+                last,
+                elapsed,
+                i;
+
+            if (motion.pauses) {
+                return;    // animation is frozen
+            }
+
+            /* Marker hidden in a cluster was removed from the cluster group */
+            if (motion.clustered && !this._map && !this.__parent) {
+                this._stopBouncingOnRemove();
+                return;
+            }
+
+            while (true) {
+                if (motion.phase === 'pause') {
+                    if (time - motion.phaseStart < pause) {
+                        return;
+                    }
+
+                    motion.phaseStart += pause;
+                    this._startBouncingCycle();
+
+                    if (!this._skipBouncingCycles(time)) {
+                        return;
+                    }
+                    continue;
+                }
+
+                if (motion.phase === 'move') {
+                    steps  = motion.moveSteps;
+                    delays = motion.moveDelays;
+                } else {
+                    steps  = motion.resizeSteps;
+                    delays = motion.resizeDelays;
+                }
+
+                last = steps.length - 1;
+                elapsed = time - motion.phaseStart;
+
+                /* Synchronized marker waits for the beginning of the cycle */
+                if (elapsed < 0) {
+                    return;
+                }
+
+                /* Phase is not finished yet: show the current step */
+                if (elapsed < delays[last]) {
+                    i = Math.min(motion.stepIndex, last);
+                    while (i < last && delays[i + 1] <= elapsed) {
+                        i++;
+                    }
+                    motion.stepIndex = i;
+                    this._makeBouncingStep(steps[i]);
+
+                    return;
+                }
+
+                /* Phase is finished: pass to the next one */
+                motion.phaseStart += delays[last];
+
+                if (motion.phase === 'move' && elastic) {
+                    motion.phase = 'resize';
+                    motion.stepIndex = 0;
+                    continue;
+                }
+
+                this._makeBouncingStep(steps[last]);    // back on the ground
+
+                if (!this._endBouncingCycle()) {
+                    return;
+                }
+
+                if (motion.phase === 'move') {
+                    motion.phase = 'pause';
+                } else {
+                    this._startBouncingCycle();
+
+                    if (!this._skipBouncingCycles(time)) {
+                        return;
+                    }
+                }
+            }
+        },
+
+        /**
+         * Skips the whole cycles missed by this marker since the beginning of
+         * current cycle (e.g. when the page was in background and animation
+         * frames were not called), so they are not replayed all at once.
+         * Skipped cycles count as done, but don't fire "bouncecycle" events.
+         * Current cycle is never skipped if it's the last one. Cycles of
+         * damped bouncing have different durations and are never skipped.
+         *
+         * @param time    current time (ms)
+         *
+         * @return false if the cycle has no duration: it must wait for the
+         *         next frame, true otherwise
+         */
+        _skipBouncingCycles: function(time) {
+            var motion = this._bouncingMotion,
+                cycle = this.getBouncingCycleDuration(),
+                skipped;
+
+            if (!(cycle > 0)) {
+                return false;
+            }
+
+            if (motion.entering || this._isBouncingDamped()) {
+                return true;
+            }
+
+            skipped = Math.floor((time - motion.phaseStart) / cycle);
+
+            if (motion.times !== null) {
+                skipped = Math.min(skipped, motion.times);
+            }
+
+            if (skipped <= 0) {
+                return true;
+            }
+
+            motion.phaseStart += skipped * cycle;
+            motion.cycle += skipped;
+
+            if (motion.times !== null) {
+                motion.times -= skipped;
+
+                if (!motion.times) {
+                    this._haltBouncing('finished');
+                }
+            }
+
+            return true;
+        },
+
+        /**
+         * Freezes the animation of this marker. Pauses can be nested: the
+         * animation continues after the last resume.
+         */
+        _pauseBouncingAnimation: function() {
+            var motion = this._bouncingMotion;
+
+            if (!motion.pauses++) {
+                motion.pausedAt = now();
+                motion.pausedClock = _clockShift;
+            }
+        },
+
+        /**
+         * Unfreezes the animation of this marker. Animation continues from the
+         * same phase, as if the time was stopped during the pause.
+         */
+        _resumeBouncingAnimation: function() {
+            var motion = this._bouncingMotion,
+                paused,
+                cycle;
+
+            if (!motion.pauses || --motion.pauses) {
+                return;
+            }
+
+            paused = now() - motion.pausedAt;
+
+            /* Synchronized marker catches up with the global cycle clock,
+             * that was maybe paused too. Cycles that passed meanwhile are
+             * skipped by whole cycle lengths, so they are not consumed. */
+            if (this._bouncingOptions.synchronized) {
+
+                /* Marker started while the clock was paused was paused for a
+                 * shorter time than the clock */
+                paused = Math.max(paused - _clockShift + motion.pausedClock, 0);
+                cycle = this.getBouncingCycleDuration();
+                motion.phaseStart += _clockShift - motion.pausedClock
+                    + Math.floor(paused / cycle) * cycle;
+            } else {
+                motion.phaseStart += paused;
+            }
+
+            requestAnimation();    // loop is stopped if all were paused
+        },
+
+        /**
+         * Freezes the animation of this marker for the cause, once. Does
+         * nothing if the marker is not animated.
+         *
+         * @param cause    cause of the pause ("user", "all" or "hidden")
+         */
+        _pauseBouncingFor: function(cause) {
+            var motion = this._bouncingMotion;
+
+            if (motion.isAnimating && !motion.pausedBy[cause]) {
+                motion.pausedBy[cause] = true;
+                this._pauseBouncingAnimation();
+            }
+        },
+
+        /**
+         * Unfreezes the animation of this marker paused for the cause.
+         *
+         * @param cause    cause of the pause ("user", "all" or "hidden")
+         */
+        _resumeBouncingFor: function(cause) {
+            var motion = this._bouncingMotion;
+
+            if (motion.pausedBy[cause]) {
+                delete motion.pausedBy[cause];
+                this._resumeBouncingAnimation();
+            }
+        },
+
+        /**
+         * Aligns the beginning of the animation of this marker on the global
+         * cycle clock, that starts the cycles of the same duration at the same
+         * moments. Marker waits for the beginning of the next cycle, or, if
+         * option "synchronized" is "jump", jumps to the current phase.
+         */
+        _synchronizeBouncing: function() {
+            var motion = this._bouncingMotion,
+                cycle = this.getBouncingCycleDuration(),
+                offset = (motion.phaseStart - _clockShift) % cycle;
+
+            if (this._bouncingOptions.synchronized === 'jump') {
+                motion.phaseStart -= offset;
+            } else if (offset) {
+                motion.phaseStart += cycle - offset;
+            }
+        },
+
+        /**
+         * Freezes the animation of this marker until the end of zoom
+         * animation of the map. Meanwhile Leaflet moves the icon to it's new
+         * position with CSS transition.
+         */
+        _pauseBouncingDuringZoom: function() {
+            if (!this._bouncingMotion.isZooming) {
+                this._bouncingMotion.isZooming = true;
+                this._pauseBouncingAnimation();
+                this._map.once('zoomend', this._resumeBouncingAfterZoom, this);
+            }
+        },
+
+        /**
+         * Resumes the animation of this marker after the zoom animation of the
+         * map.
+         */
+        _resumeBouncingAfterZoom: function() {
+            this._bouncingMotion.isZooming = false;
+            this._resumeBouncingAnimation();
+        },
+
+        /**
+         * Returns true if the cycles of this marker are damped. Damping only
+         * applies to bouncing, and is ignored for synchronized marker: cycles
+         * of the global cycle clock all have the same duration.
+         *
+         * @return true if the bouncing is damped, false if not
+         */
+        _isBouncingDamped: function() {
+            return !!this._bouncingOptions.damping
+                && !this._bouncingOptions.synchronized
+                && this._bouncingOptions.animation === 'bounce';
+        },
+
+        /**
+         * Returns the heights of the bouncing and of the contraction in
+         * current cycle of the animation. With option "damping", heights are
+         * multiplied by the damping once per cycle since the beginning of the
+         * bouncing, down to 1px.
+         *
+         * @return array [bounce height, contract height] (px)
+         */
+        _getBouncingHeights: function() {
+            var options = this._bouncingOptions,
+                cycle   = this._bouncingMotion.dampingCycle || 0,
+                k;
+
+            if (!this._isBouncingDamped()) {
+                return [options.bounceHeight, options.contractHeight];
+            }
+
+            k = Math.pow(options.damping, cycle);
+
+            return [
+                Math.max(Math.round(options.bounceHeight * k), 1),
+                Math.max(Math.round(options.contractHeight * k), 1)
+            ];
+        },
+
+        /**
+         * Calculates moveSteps, moveDelays, resizeSteps & resizeDelays for
+         * animation of this marker.
+         */
+        _calculateTimeline: function() {
+
+            /*
+             * Animation is defined by shifts of the marker from it's original
+             * position. Each step of the animation is a shift of 1px.
+             *
+             * We define function f(x) - time of waiting between shift of x px
+             * and shift of x+1 px.
+             *
+             * By default we use for this the inverse function f(x) = a / x;
+             * where a is the animation speed and x is the shift from original
+             * position in px. Other easing curves are sampled in time by
+             * calculateEasedMotion.
+             */
+
+            var options = this._bouncingOptions,
+                motion  = this._bouncingMotion,
+                heights,
+                eased;
+
+            /* Entrance is one fall followed by decaying bounces */
+            if (motion.entering) {
+                eased = calculateEntranceMotion(
+                    options.entranceHeight,
+                    options.entranceBounces
+                );
+
+                motion.frames     = null;
+                motion.moveSteps  = eased.steps;
+                motion.moveDelays = eased.delays;
+                motion.elastic = false;
+                motion.pause   = 0;
+
+                return;
+            }
+
+            /* Other animations have only one phase made of frames */
+            if (options.animation !== 'bounce') {
+                motion.frames = calculateAnimationTimeline(
+                    options.animation,
+                    options
+                );
+                motion.moveSteps  = motion.frames.steps;
+                motion.moveDelays = motion.frames.delays;
+                motion.elastic = false;
+                motion.pause   = 0;
+
+                return;
+            }
+
+            motion.frames  = null;
+            motion.elastic = options.elastic;
+            motion.pause   = options.elastic ? 0 : options.bounceSpeed;
+
+            /* Steps of lower cycles are the first steps of the highest one, so
+             * only the timeline changes with the height */
+            heights = this._getBouncingHeights();
+
+            /* recalculate steps & delays of movement & resize animations */
+            if (options.bounceEasing === 'inverse') {
+                motion.moveSteps = calculateSteps(
+                    heights[0],
+                    'moveSteps_'
+                );
+
+                motion.moveDelays = calculateDelays(
+                    heights[0],
+                    options.bounceSpeed,
+                    'moveDelays_',
+                    options.bounceDuration
+                );
+            } else {
+                eased = calculateEasedMotion(
+                    heights[0],
+                    options.bounceSpeed,
+                    options.bounceEasing,
+                    'moveDelays_',
+                    options.bounceDuration
+                );
+
+                motion.moveSteps  = eased.steps;
+                motion.moveDelays = eased.delays;
+            }
+
+            /* Calculate resize steps & delays only if elastic animation is
+             * enabled */
+            if (!options.elastic) {
+                return;
+            }
+
+            if (options.contractEasing === 'inverse') {
+                motion.resizeSteps = calculateSteps(
+                    heights[1],
+                    'resizeSteps_'
+                );
+
+                motion.resizeDelays = calculateDelays(
+                    heights[1],
+                    options.contractSpeed,
+                    'resizeDelays_',
+                    options.contractDuration
+                );
+            } else {
+                eased = calculateEasedMotion(
+                    heights[1],
+                    options.contractSpeed,
+                    options.contractEasing,
+                    'resizeDelays_',
+                    options.contractDuration
+                );
+
+                motion.resizeSteps  = eased.steps;
+                motion.resizeDelays = eased.delays;
+            }
+        }
+    };
+
+    /* -------------------------------------------------------------------------
+     *         L.Marker.prototype methods (shared by all instances)
+     * -------------------------------------------------------------------------
+     */
+
+    L.Marker.include(L.Mixin.Bouncing);
+
+    L.Marker.include({
+
+        /**
+         * Starts the bouncing of this marker. If the marker is hidden in a
+         * cluster and has option "clusterBouncing" set to "reveal", zooms
+         * the map to show it.
+         *
+         * @param times    number of animation repeations (optional)
+         *
+         * @return this marker
+         */
+        bounce: function() {
+            var group;
+
+            L.Mixin.Bouncing.bounce.apply(this, arguments);
+
+            if (!this._icon
+                    && this._bouncingMotion.isAnimating
+                    && this._bouncingOptions.clusterBouncing === 'reveal') {
+                group = this._getBouncingClusterGroup();
+
+                if (group) {
+                    group.zoomToShowLayer(this);
+                }
+            }
+
+            return this;    // fluent API
+        },
+
+        /**
+         * Puts the icon and the shadow of this marker back in their original
+         * state, and gives back the cluster that bounced instead of it.
+         */
+        _restoreBouncingState: function() {
+            var motion = this._bouncingMotion;
+
+            this._releaseBouncingProxy();
+
+            if (this._icon) {
+                this._restoreBouncingSize();
+                this.update();    // restores original position
+            }
+
+            if (motion.shadowFaded) {
+                motion.shadowFaded = false;
+
+                if (this._shadow) {
+                    L.DomUtil.setOpacity(this._shadow, this.options.opacity);
+                }
+            }
+        },
+
+        /**
+         * Shows the step of current phase of the animation. Does nothing if
+         * the marker is not on the map.
+         *
+         * @param step    step number
+         */
+        _makeBouncingStep: function(step) {
+            this._bouncingMotion.step = step;    // to show it again if moved
+
+            if (!this._icon) {
+                this._makeProxyBouncingStep(step);
+                return;
+            }
+
+            this._releaseBouncingProxy();    // marker is visible again
+
+            if (this._bouncingMotion.phase === 'resize') {
+                if (L.Browser.any3d) {
+                    this._makeResizeStep(step);
+                } else {
+                    this._makeResizeStepNo3D(step);
+                }
+            } else if (L.Browser.any3d) {
+                this._makeMoveStep(step);
+            } else {
+                this._makeMoveStepNo3D(step);
+            }
 
-            /**
-             * Makes the step of the movement animation.
-             *
-             * @param step    step number
-             */
-            function makeMoveStep(step) {
+            /* Shadow fades in as the marker comes down during the entrance */
+            if (this._bouncingMotion.entering && this._shadow) {
+                this._bouncingMotion.shadowFaded = true;
+                L.DomUtil.setOpacity(this._shadow, this.options.opacity
+                    * (1 - step / this._bouncingOptions.entranceHeight));
+            }
+        },
+
+        /**
+         * Returns the Leaflet.markercluster group of this marker if the group
+         * is on the map.
+         *
+         * @return group object or null
+         */
+        _getBouncingClusterGroup: function() {
+            var group = this.__parent && this.__parent._group;
 
-                /* Reset icon's cssText */
-                icon.style.cssText = baseIconCssText
-                    + 'z-index: ' + marker._zIndex + ';'
-                    + transform + ': ' + motion.iconMoveTransforms[step];
+            return group && group._map ? group : null;
+        },
+
+        /**
+         * Shows the step of the animation of this marker hidden in a cluster
+         * on the icon of the cluster (the proxy). When clusters split or
+         * merge, the animation passes to the new visible cluster, or to the
+         * marker itself, in the same phase.
+         *
+         * @param step    step number
+         */
+        _makeProxyBouncingStep: function(step) {
+            var motion = this._bouncingMotion,
+                proxyMotion,
+                group = this._getBouncingClusterGroup(),
+                proxy = group && this._bouncingOptions.clusterBouncing
+                    ? group.getVisibleParent(this)
+                    : null;
+
+            motion.clustered = !!group;
+
+            if (proxy !== motion.proxy) {
+                this._releaseBouncingProxy();
+                motion.proxy = proxy;
+            }
 
-                /* Reset shadow's cssText */
-                if (shadow) {
-                    shadow.style.cssText = baseShadowCssText
-                        + transform + ': '
-                        + motion.shadowMoveTransforms[step];
+            /* Cluster bounces with the options of this marker. Other markers
+             * of the cluster may have lent it their options meanwhile. */
+            if (proxy && proxy._bouncingOptions !== this._bouncingOptions) {
+                proxyMotion = proxy._bouncingMotion;
+
+                /* Own options of the cluster are kept once, by the first
+                 * marker that lends it it's options */
+                if (!proxyMotion.isLent) {
+                    proxyMotion.isLent = true;
+                    proxyMotion.ownOptions = proxy.hasOwnProperty(
+                        '_bouncingOptions'
+                    ) ? proxy._bouncingOptions : null;
                 }
+
+                proxy._bouncingOptions = this._bouncingOptions;
+                proxy._calculateTimeline();
+                proxy._calculateTransforms();
             }
 
-            /**
-             * Makes the step of the movement animation in no 3D able web
-             * browser.
-             *
-             * @param step    step number
-             */
-            function makeMoveStepNo3D(step) {
+            /* Don't fight with zoom animation of the map */
+            if (proxy && !proxy._map._animatingZoom) {
+                proxy._bouncingMotion.phase = motion.phase;
+                proxy._makeBouncingStep(step);
+            }
+        },
+
+        /**
+         * Puts the icon of the cluster that bounced instead of this marker
+         * back in it's original state, and gives it back it's options. Does
+         * nothing to the cluster if it bounces with the options of another
+         * marker.
+         */
+        _releaseBouncingProxy: function() {
+            var motion = this._bouncingMotion,
+                proxy = motion.proxy,
+                proxyMotion;
 
-                /* Reset icon's cssText */
-                icon.style.cssText = baseIconCssText
-                    + 'z-index: ' + marker._zIndex + ';';
-                icon.style.left = motion.iconMovePoints[step][0] + 'px';
-                icon.style.top  = motion.iconMovePoints[step][1] + 'px';
+            motion.proxy = null;
 
-                /* Reset shadow's cssText */
-                if (shadow) {
-                    shadow.style.cssText = baseShadowCssText;
-                    shadow.style.left = motion.shadowMovePoints[step][0] + 'px';
-                    shadow.style.top  = motion.shadowMovePoints[step][1] + 'px';
-                }
+            if (!proxy || proxy._bouncingOptions !== this._bouncingOptions) {
+                return;
             }
 
-            /**
-             * Makes the step of resizing animation.
-             *
-             * @param step    step number
-             */
-            function makeResizeStep(step) {
+            proxyMotion = proxy._bouncingMotion;
 
-                /* Reset icon's cssText */
-                icon.style.cssText = baseIconCssText
-                    + 'z-index: ' + marker._zIndex + ';'
-                    + transform + ': ' + motion.iconResizeTransforms[step];
+            if (proxy._icon) {
+                proxy._restoreBouncingSize();
+                proxy.update();    // restores original position
+            }
 
-                /* Reset shadow's cssText */
-                if (shadow && shadowAngle != null) {
-                    shadow.style.cssText = baseShadowCssText
-                        + transform + ': '
-                        + motion.shadowResizeTransforms[step];
-                }
+            if (proxyMotion.ownOptions) {
+                proxy._bouncingOptions = proxyMotion.ownOptions;
+            } else {
+                delete proxy._bouncingOptions;
             }
+            proxyMotion.isLent = false;
+            proxyMotion.ownOptions = null;
 
-            /**
-             * Moves the marker up & down.
-             */
-            function move() {
-                if (times !== null) {
-                    if (!--times) {
-                        motion.isBouncing = false;  // this is the last bouncing
-                    }
-                }
+            proxy._calculateTimeline();
+            proxy._calculateTransforms();
+        },
 
-                var i = nbMoveSteps;
+        /**
+         * Makes the step of the movement animation. Only the transformation
+         * of the icon & shadow is changed, so the other styles, changed by
+         * Leaflet, other plugins or application, are kept.
+         *
+         * @param step    step number
+         */
+        _makeMoveStep: function(step) {
+            var motion = this._bouncingMotion;
 
-                /* Lauch timeouts for every step of the movement animation */
-                if (is3d) {
-                    while (i--) {
-                        setTimeout(
-                            makeMoveStep,
-                            moveDelays[i],
-                            moveSteps[i]);
-                    }
-                } else {
-                    while (i--) {
-                        setTimeout(
-                            makeMoveStepNo3D,
-                            moveDelays[i],
-                            moveSteps[i]);
-                    }
-                }
+            this._icon.style[transform] = motion.iconMoveTransforms[step];
 
-                /* At the end of movement animation check if continue the
-                 * bouncing with rezise animation, move animation or stop it.
-                 */
-                // TODO: longer timeout if there is not resize part of animation
-                setTimeout(function() {
-                    if (elastic && is3d) {
-                        resize();    // possible only in 3D able browsers
-                    } else if (motion.isBouncing) {
-                        setTimeout(move, bounceSpeed);
-                    }
-                }, moveDelays[nbMoveSteps - 1]);
+            if (this._shadow) {
+                this._shadow.style[transform] =
+                    motion.shadowMoveTransforms[step];
             }
+        },
 
-            /**
-             * Contracts & expands the marker.
-             */
-            function resize() {
-                var i = nbResizeSteps;
-
-                /* Lauch timeouts for every step of the contraction animation */
-                while (i--) {
-                    setTimeout(
-                        makeResizeStep,
-                        resizeDelays[i],
-                        resizeSteps[i]);
-                }
-
-                /* At the end of contraction animation check if continue the
-                 * bouncing with move animation or stop it.
-                 */
-                setTimeout(function() {
-                    if (motion.isBouncing) {
-                        move();
-                    }
-                }, resizeDelays[nbResizeSteps - 1]);
+        /**
+         * Makes the step of the movement animation in no 3D able web browser.
+         *
+         * @param step    step number
+         */
+        _makeMoveStepNo3D: function(step) {
+            var motion = this._bouncingMotion,
+                icon   = this._icon,
+                shadow = this._shadow;
+
+            icon.style.left = motion.iconMovePoints[step][0] + 'px';
+            icon.style.top  = motion.iconMovePoints[step][1] + 'px';
+
+            if (shadow) {
+                shadow.style.left = motion.shadowMovePoints[step][0] + 'px';
+                shadow.style.top  = motion.shadowMovePoints[step][1] + 'px';
             }
+        },
 
-            motion.isBouncing = true;
-            L.Marker._addBouncingMarker(marker, exclusive);
-            move();        // start animation
+        /**
+         * Makes the step of resizing animation.
+         *
+         * @param step    step number
+         */
+        _makeResizeStep: function(step) {
+            var motion = this._bouncingMotion;
 
-            return marker;    // fluent API
+            this._icon.style[transform] = motion.iconResizeTransforms[step];
+
+            if (this._shadow && this._bouncingOptions.shadowAngle != null) {
+                this._shadow.style[transform] =
+                    motion.shadowResizeTransforms[step];
+            }
         },
 
         /**
-         * Stops bouncing of this marker. Note: the bouncing not stops
-         * immediatly after the call of this method. Instead, the animation is
-         * executed until marker returns to it's original position and takes
-         * it's full size.
+         * Makes the step of resizing animation in no 3D able web browser.
+         * Sizes of the icon & shadow before the contraction are remembered
+         * and restored when marker takes it's full size.
          *
-         * @return this marker
+         * @param step    step number
          */
-        stopBouncing: function() {
-            this._bouncingMotion.isBouncing = false;
-            L.Marker._removeBouncingMarker(this);
+        _makeResizeStepNo3D: function(step) {
+            var motion = this._bouncingMotion,
+                icon   = this._icon,
+                shadow = this._shadow,
+                points = motion.iconResizePoints[step];
+
+            if (!step) {
+                this._restoreBouncingSize();
+            } else if (!motion.sizeBeforeContraction) {
+                motion.sizeBeforeContraction = {
+                    iconHeight   : icon.style.height,
+                    shadowWidth  : shadow && shadow.style.width,
+                    shadowHeight : shadow && shadow.style.height
+                };
+            }
 
-            return this;    // fluent API
+            icon.style.left = points[0] + 'px';
+            icon.style.top  = points[1] + 'px';
+
+            if (step) {
+                icon.style.height = points[2] + 'px';
+            }
+
+            if (shadow && motion.shadowResizePoints) {
+                points = motion.shadowResizePoints[step];
+                shadow.style.left = points[0] + 'px';
+                shadow.style.top  = points[1] + 'px';
+
+                if (step) {
+                    shadow.style.width  = points[2] + 'px';
+                    shadow.style.height = points[3] + 'px';
+                }
+            }
         },
 
         /**
-         * Starts/stops bouncing of this marker.
+         * Restores the sizes of the icon & shadow changed by the contraction
+         * in no 3D able web browser.
+         */
+        _restoreBouncingSize: function() {
+            var size = this._bouncingMotion.sizeBeforeContraction;
+
+            if (!size) {
+                return;
+            }
+
+            this._icon.style.height = size.iconHeight;
+
+            if (this._shadow) {
+                this._shadow.style.width  = size.shadowWidth;
+                this._shadow.style.height = size.shadowHeight;
+            }
+
+            this._bouncingMotion.sizeBeforeContraction = null;
+        },
+
+        /**
+         * Returns the options of the icon of this marker.
          *
-         * @return this marker
+         * @return options of the icon
          */
-        toggleBouncing: function() {
-            if (this._bouncingMotion.isBouncing) {
-                this.stopBouncing();
-            } else {
-                this.bounce();
+        _getBouncingIconOptions: function() {
+            var iconOptions = this.options.icon.options;
+
+            /* To fix the case when icon is in _iconObj */
+            if (!iconOptions.iconSize && this._iconObj) {
+                return this._iconObj.options;
             }
 
-            return this;    // fluent API
+            return iconOptions;
         },
 
         /**
-         * Calculates moveSteps, moveDelays, resizeSteps & resizeDelays for
-         * animation of this marker.
+         * Returns the size of the icon of this marker. If the size is not
+         * declared in the options of the icon (L.DivIcon sized by CSS), the
+         * rendered icon element is measured. Measured size is kept until the
+         * icon element is replaced or it's content is changed.
+         *
+         * @return size of the icon (point)
          */
-        _calculateTimeline: function() {
+        _getBouncingIconSize: function() {
+            var motion      = this._bouncingMotion,
+                iconOptions = this._getBouncingIconOptions(),
+                icon        = this._icon;
 
-            /*
-             * Animation is defined by shifts of the marker from it's original
-             * position. Each step of the animation is a shift of 1px.
-             *
-             * We define function f(x) - time of waiting between shift of x px
-             * and shift of x+1 px.
-             *
-             * We use for this the inverse function f(x) = a / x; where a is the
-             * animation speed and x is the shift from original position in px.
-             */
+            if (iconOptions.iconSize) {
+                return L.point(iconOptions.iconSize);
+            }
 
-            /* recalculate steps & delays of movement & resize animations */
-            this._bouncingMotion.moveSteps = calculateSteps(
-                this._bouncingOptions.bounceHeight,
-                'moveSteps_'
-            );
+            if (!icon) {
+                return L.point(0, 0);    // nothing to measure yet
+            }
 
-            this._bouncingMotion.moveDelays = calculateDelays(
-                this._bouncingOptions.bounceHeight,
-                this._bouncingOptions.bounceSpeed,
-                'moveDelays_'
-            );
+            /* Watch the changes of new icon element */
+            if (motion.measuredIcon !== icon) {
+                if (motion.iconObserver) {
+                    motion.iconObserver.disconnect();
+                }
 
-            /* Calculate resize steps & delays only if elastic animation is
-             * enabled */
-            if (this._bouncingOptions.elastic) {
-                this._bouncingMotion.resizeSteps = calculateSteps(
-                    this._bouncingOptions.contractHeight,
-                    'resizeSteps_'
-                );
+                motion.measuredIcon = icon;
+                motion.iconSize = null;
+
+                if (window.MutationObserver) {
+                    motion.iconObserver = new MutationObserver(
+                        L.bind(this._onBouncingIconChange, this));
+                    motion.iconObserver.observe(icon, {
+                        childList       : true,
+                        subtree         : true,
+                        characterData   : true,
+                        attributes      : true,
+                        attributeFilter : ['class']
+                    });
+                }
+            }
 
-                this._bouncingMotion.resizeDelays = calculateDelays(
-                    this._bouncingOptions.contractHeight,
-                    this._bouncingOptions.contractSpeed,
-                    'resizeDelays_'
-                );
+            /* Icon that is not displayed has no size, measure it later */
+            if (!motion.iconSize || !motion.iconSize.y) {
+                motion.iconSize = L.point(icon.offsetWidth, icon.offsetHeight);
+            }
+
+            return motion.iconSize;
+        },
+
+        /**
+         * Called when the content of the icon element changes. Measures the
+         * icon again and recalculates the transformations.
+         */
+        _onBouncingIconChange: function() {
+            this._bouncingMotion.iconSize = null;
+            this._calculateTransforms();
+        },
+
+        /**
+         * Called when the marker is dragged. Leaflet moves the icon without
+         * _setPos, so the new position is read from the icon element.
+         */
+        _onBouncingDrag: function() {
+            this._moveBouncing(L.DomUtil.getPosition(this._icon));
+        },
+
+        /**
+         * Recalculates the transformations of this marker moved to the new
+         * position. Leaflet has just put the icon on the ground: if the marker
+         * is bouncing, shows it again at current step from it's new position,
+         * except during zoom animation where the icon must follow the map.
+         *
+         * @param pos    new position of the icon (point)
+         */
+        _moveBouncing: function(pos) {
+            var motion = this._bouncingMotion;
+
+            motion.x = pos.x;
+            motion.y = pos.y;
+            this._calculateTransforms();
+
+            if (motion.isAnimating && !motion.isZooming && motion.step != null) {
+                this._makeBouncingStep(motion.step);
             }
         },
 
@@ -830,24 +3440,57 @@
          * Calculated the transformations of this marker.
          */
         _calculateTransforms: function() {
-            if (L.Browser.any3d) {
-
-                /* Calculate transforms for 3D browsers */
+            var iconOptions  = this._getBouncingIconOptions(),
+                iconHeight   = this._getBouncingIconSize().y,
+                iconAnchor   = calculateAnchor(iconOptions, 'icon'),
+                shadowAnchor = calculateAnchor(iconOptions, 'shadow'),
+                motion       = this._bouncingMotion,
+                moveHeight   = motion.entering
+                    ? this._bouncingOptions.entranceHeight
+                    : this._bouncingOptions.bounceHeight,
+                shadowSize,
+                matrices;
+
+            /* Animation other than bouncing: one transformation per frame */
+            if (motion.frames) {
+                matrices = calculateAnimationMatrices(
+                    this._bouncingOptions.animation,
+                    this._bouncingOptions,
+                    this._getBouncingIconSize(),
+                    iconOptions.shadowSize
+                        ? L.point(iconOptions.shadowSize)
+                        : L.point(0, 0)
+                );
 
-                if (this.options.icon.options.iconSize) {
-                    var iconHeight = this.options.icon.options.iconSize[1];
+                if (L.Browser.any3d) {
+                    motion.iconMoveTransforms = calculateAnimationTransforms(
+                        motion.x, motion.y, iconAnchor, matrices.icon
+                    );
+                    motion.shadowMoveTransforms = calculateAnimationTransforms(
+                        motion.x, motion.y, shadowAnchor, matrices.shadow
+                    );
                 } else {
-
-                    /* To fix the case when icon is in _iconObj */
-                    var iconHeight = this._iconObj.options.iconSize[1];
+                    motion.iconMovePoints = calculateAnimationPoints(
+                        motion.x, motion.y, matrices.icon
+                    );
+                    motion.shadowMovePoints = calculateAnimationPoints(
+                        motion.x, motion.y, matrices.shadow
+                    );
                 }
 
+                return;
+            }
+
+            if (L.Browser.any3d) {
+
+                /* Calculate transforms for 3D browsers */
+
                 /* Calculate move transforms of icon */
                 this._bouncingMotion.iconMoveTransforms =
                     calculateIconMoveTransforms(
                         this._bouncingMotion.x,
                         this._bouncingMotion.y,
-                        this._bouncingOptions.bounceHeight
+                        moveHeight
                     );
 
                 /* Calculate resize transforms of icon */
@@ -855,6 +3498,7 @@
                     calculateIconResizeTransforms(
                         this._bouncingMotion.x,
                         this._bouncingMotion.y,
+                        iconAnchor,
                         iconHeight,
                         this._bouncingOptions.contractHeight
                     );
@@ -866,19 +3510,23 @@
                         calculateShadowMoveTransforms(
                             this._bouncingMotion.x,
                             this._bouncingMotion.y,
-                            this._bouncingOptions.bounceHeight,
+                            moveHeight,
                             this._bouncingOptions.shadowAngle
                         );
 
-                    /* Calculate resize transforms of shadow */
-                    // TODO: use function calculateShadowResizeTransforms
-                    this._bouncingMotion.shadowResizeTransforms =
-                        calculateIconResizeTransforms(
-                            this._bouncingMotion.x,
-                            this._bouncingMotion.y,
-                            this.options.icon.options.shadowSize[1],
-                            this._bouncingOptions.contractHeight
-                        );
+                    /* Calculate resize transforms of shadow. Without angle
+                     * the shadow is not animated. */
+                    if (this._bouncingOptions.shadowAngle != null) {
+                        this._bouncingMotion.shadowResizeTransforms =
+                            calculateShadowResizeTransforms(
+                                this._bouncingMotion.x,
+                                this._bouncingMotion.y,
+                                shadowAnchor,
+                                iconHeight,
+                                this._bouncingOptions.contractHeight,
+                                this._bouncingOptions.shadowAngle
+                            );
+                    }
                 }
 
             } else {
@@ -890,7 +3538,7 @@
                     calculateIconMovePoints(
                         this._bouncingMotion.x,
                         this._bouncingMotion.y,
-                        this._bouncingOptions.bounceHeight
+                        moveHeight
                     );
 
                 /* And for the shadow */
@@ -898,28 +3546,73 @@
                     calculateShadowMovePoints(
                         this._bouncingMotion.x,
                         this._bouncingMotion.y,
-                        this._bouncingOptions.bounceHeight,
+                        moveHeight,
                         this._bouncingOptions.shadowAngle
                     );
 
+                /* Calculate resize points */
+
+                /* For the icon */
+                this._bouncingMotion.iconResizePoints =
+                    calculateIconResizePoints(
+                        this._bouncingMotion.x,
+                        this._bouncingMotion.y,
+                        iconAnchor,
+                        iconHeight,
+                        this._bouncingOptions.contractHeight
+                    );
+
+                /* And for the shadow. Shadow without declared shadowSize is
+                 * measured, and is not contracted if it has no size yet. */
+                shadowSize = iconOptions.shadowSize
+                    ? L.point(iconOptions.shadowSize)
+                    : this._shadow && L.point(
+                        this._shadow.offsetWidth,
+                        this._shadow.offsetHeight
+                    );
+
+                this._bouncingMotion.shadowResizePoints = null;
+
+                if (this._shadow
+                        && this._bouncingOptions.shadowAngle != null
+                        && shadowSize.x && shadowSize.y) {
+                    this._bouncingMotion.shadowResizePoints =
+                        calculateShadowResizePoints(
+                            this._bouncingMotion.x,
+                            this._bouncingMotion.y,
+                            shadowAnchor,
+                            shadowSize,
+                            iconHeight,
+                            this._bouncingOptions.contractHeight,
+                            this._bouncingOptions.shadowAngle
+                        );
+                }
             }
         }
 
     });
 
     /**
-     * Add init hook to calculate animation timeline.
+     * Init hook that creates the state of the animation and calculates
+     * animation timeline.
      */
-    L.Marker.addInitHook(function() {
+    function initBouncing() {
         this._bouncingMotion = {
-            isBouncing: false
+            isBouncing: false,
+            isAnimating: false,   // true until the marker lands
+            pauses: 0,            // number of pauses of the animation
+            pausedBy: {}          // causes of the pauses, except the zoom
         };
         this._calculateTimeline();
-    });
+    }
+
+    L.Marker.addInitHook(initBouncing);
 
     // TODO: decide to redeclare ether only public or only private methods
     var oldSetPos = L.Marker.prototype._setPos;
+    var oldAnimateZoom = L.Marker.prototype._animateZoom;
     var oldOnAdd = L.Marker.prototype.onAdd;
+    var oldOnRemove = L.Marker.prototype.onRemove;
 
     /**
      * Redeclaration of _setPos function.
@@ -928,31 +3621,246 @@
      */
     L.Marker.prototype._setPos = function(pos) {
         oldSetPos.call(this, pos);
-        this._bouncingMotion.x = pos.x;
-        this._bouncingMotion.y = pos.y;
-        this._calculateTransforms();
+
+        /* Transformations are calculated relative to the top left corner of
+         * the icon, that is the transform origin only if map animates zoom */
+        if (L.Browser.any3d) {
+            this._icon.style[transform + 'Origin'] = '0 0';
+
+            if (this._shadow) {
+                this._shadow.style[transform + 'Origin'] = '0 0';
+            }
+        }
+
+        this._moveBouncing(pos);
+    };
+
+    /**
+     * Redeclaration of _animateZoom function. Bouncing is paused during the
+     * zoom animation of the map and resumed in phase after it.
+     *
+     * @param opt    zoom animation options
+     */
+    L.Marker.prototype._animateZoom = function(opt) {
+        if (this._bouncingMotion.isAnimating) {
+            this._pauseBouncingDuringZoom();
+        }
+
+        oldAnimateZoom.call(this, opt);
     };
 
     /**
-     * Redeclaration of onAdd function.
+     * Redeclaration of onAdd function. Starts to listen to the drag of the
+     * marker and to the events defined in options "bounceOn", "stopOn" and
+     * "toggleOn". Marker removed from the
+     * map while bouncing starts to bounce again if it has option
+     * "resumeOnAdd". Marker added for the first time makes it's entrance if
+     * it has option "entrance".
      *
      * @param map    map object
      */
     L.Marker.prototype.onAdd = function(map) {
         oldOnAdd.call(this, map);
 
-        /* Create base cssText */
-        var styles = parseCssText(this._icon.style.cssText);
-        delete styles[transform];    // delete old trasform style definition
-        delete styles['z-index'];    // delete old z-index
-        this._bouncingMotion.baseIconCssText = renderCssText(styles);
+        this.on('drag', this._onBouncingDrag, this);
+        this._bindBouncingEvents();
+        this._resumeBouncingOnAdd();
+        this._startBouncingEntrance();
+    };
+
+    /**
+     * Redeclaration of onRemove function. Stops the bouncing immediately,
+     * marker leaves the list of bouncing markers and fires "bounceend" with
+     * reason "removed", unless the marker is only hidden in a cluster of
+     * Leaflet.markercluster. If the marker has option "resumeOnAdd",
+     * remembers how many times it still had to bounce. Stops to listen to the
+     * drag and to the events defined in options "bounceOn", "stopOn" and
+     * "toggleOn".
+     *
+     * @param map    map object
+     */
+    L.Marker.prototype.onRemove = function(map) {
+        var motion = this._bouncingMotion;
+
+        /* Cluster can't make the entrance instead of the marker */
+        this._skipBouncingEntrance();
+
+        /* Marker hidden in a cluster keeps bouncing, the cluster shows it */
+        if (!this._getBouncingClusterGroup()) {
+            this._stopBouncingOnRemove();
+        }
+
+        /* Stop to watch the content of the icon */
+        if (motion.iconObserver) {
+            motion.iconObserver.disconnect();
+            motion.iconObserver = null;
+            motion.measuredIcon = null;
+        }
+
+        this.off('drag', this._onBouncingDrag, this);
+        this._unbindBouncingEvents();
+
+        oldOnRemove.call(this, map);
+    };
+
+    /* -------------------------------------------------------------------------
+     *         L.CircleMarker.prototype methods
+     * -------------------------------------------------------------------------
+     */
+
+    L.CircleMarker.include(L.Mixin.Bouncing);
+
+    L.CircleMarker.include({
+
+        /**
+         * Shows the step of current phase of the animation. Does nothing if
+         * the circle marker is not on the map.
+         *
+         * @param step    step number
+         */
+        _makeBouncingStep: function(step) {
+            this._bouncingMotion.step = step;    // to show it again if moved
+
+            if (!this._map) {
+                return;
+            }
+
+            this._setBouncingShape(step);
+            this._redrawBouncing();
+        },
+
+        /**
+         * Moves up the center of the circle by "step" px, or, during the
+         * contraction, reduces it's height by "step" px keeping the bottom of
+         * the circle on the ground. Circle is not redrawn.
+         *
+         * @param step    step number
+         */
+        _setBouncingShape: function(step) {
+            var point  = this._bouncingMotion.point,
+                radius = this.options.radius,
+                frames = this._bouncingMotion.frames,
+                contraction,
+                m;
+
+            /* Animation other than bouncing: matrix of the frame is applied
+             * around the bottom of the circle */
+            if (frames) {
+                m = this._bouncingMotion.matrices.icon[step];
+                this._point  = point.add([
+                    m[4] - m[2] * radius,
+                    m[5] + radius - m[3] * radius
+                ]);
+                this._radius = radius
+                    * Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+            } else if (this._bouncingMotion.phase === 'resize') {
+
+                /* Circle keeps at least 1px radius */
+                contraction = Math.min(step, 2 * radius - 2) / 2;
+                this._point  = point.add([0, contraction]);
+                this._radius = radius - contraction;
+            } else {
+                this._point  = point.subtract([0, step]);
+                this._radius = radius;
+            }
+        },
+
+        /**
+         * Redraws the circle. SVG (or VML) path is updated immediately, canvas
+         * is redrawn on next frame.
+         */
+        _redrawBouncing: function() {
+            if (L.Path.CANVAS) {
+                requestCanvasRedraw(this._map);
+            } else {
+                this._updatePath();
+            }
+        },
+
+        /**
+         * Puts the circle back on it's original position with it's original
+         * radius.
+         */
+        _restoreBouncingState: function() {
+            if (this._map && this._bouncingMotion.point) {
+                this._point  = this._bouncingMotion.point;
+                this._radius = this.options.radius;
+                this._redrawBouncing();
+            }
+        },
+
+        /**
+         * Calculates the matrices of the frames of the animation other than
+         * bouncing. Steps of the bouncing are calculated when they are shown.
+         */
+        _calculateTransforms: function() {
+            var size;
+
+            if (this._bouncingMotion.frames) {
+                size = L.point(2, 2).multiplyBy(this.options.radius);
+
+                this._bouncingMotion.matrices = calculateAnimationMatrices(
+                    this._bouncingOptions.animation,
+                    this._bouncingOptions,
+                    size,
+                    L.point(0, 0)
+                );
+            }
+        }
+    });
+
+    L.CircleMarker.addInitHook(initBouncing);
+
+    var oldProjectLatlngs = L.CircleMarker.prototype.projectLatlngs;
+    var oldCircleOnAdd = L.CircleMarker.prototype.onAdd;
+    var oldCircleOnRemove = L.CircleMarker.prototype.onRemove;
+
+    /**
+     * Redeclaration of projectLatlngs function. Remembers the original
+     * position of the circle and, if it's bouncing, puts it again at current
+     * step from it's new position.
+     */
+    L.CircleMarker.prototype.projectLatlngs = function() {
+        var motion = this._bouncingMotion;
 
-        /* Create base cssText for shadow */
-        if (this._shadow) {
-            styles = parseCssText(this._shadow.style.cssText);
-            delete styles[transform];    // delete old trasform style definition
-            this._bouncingMotion.baseShadowCssText = renderCssText(styles);
+        oldProjectLatlngs.call(this);
+
+        motion.point = this._point;
+        this._calculateTransforms();    // radius may have changed
+
+        if (motion.isAnimating && motion.step != null) {
+            this._setBouncingShape(motion.step);
         }
     };
 
+    /**
+     * Redeclaration of onAdd function. Starts to listen to the events defined
+     * in options "bounceOn", "stopOn" and "toggleOn", starts to bounce
+     * again if needed (see option "resumeOnAdd") and makes the entrance (see
+     * option "entrance").
+     *
+     * @param map    map object
+     */
+    L.CircleMarker.prototype.onAdd = function(map) {
+        oldCircleOnAdd.call(this, map);
+
+        this._bindBouncingEvents();
+        this._resumeBouncingOnAdd();
+        this._startBouncingEntrance();
+    };
+
+    /**
+     * Redeclaration of onRemove function. Stops the bouncing immediately
+     * with reason "removed" and stops to listen to the events of options
+     * "bounceOn", "stopOn" and "toggleOn".
+     *
+     * @param map    map object
+     */
+    L.CircleMarker.prototype.onRemove = function(map) {
+        this._stopBouncingOnRemove();
+        this._unbindBouncingEvents();
+
+        oldCircleOnRemove.call(this, map);
+    };
+
 })(L);